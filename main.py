@@ -1,17 +1,93 @@
-from fastapi import FastAPI, Request
+from functools import lru_cache
+from typing import Literal
+import json
+
+from fastapi import FastAPI, Request, Query, WebSocket, WebSocketDisconnect
+from fastapi.responses import Response
 from fastapi.templating import Jinja2Templates
 from fastapi.staticfiles import StaticFiles
 import uvicorn
 
+from terrain_generator import TerrainGenerator, DEFAULT_PARAMS
+from terrain_binary import encode_terrain_binary
+from rooms import RoomManager, RoomFullError, is_valid_room_name, parse_message
+
 app = FastAPI()
 app.mount("/static", StaticFiles(directory="static"), name="static")
 app.mount("/dist", StaticFiles(directory="dist"), name="dist")
 app.mount("/assets", StaticFiles(directory="assets"), name="assets")
 templates = Jinja2Templates(directory="templates")
+rooms = RoomManager()
 
 @app.get("/")
 async def root(request: Request):
     return templates.TemplateResponse("index.html", {"request": request})
 
+# Generated terrains are cached as serialized JSON or binary, keyed by their parameters
+@lru_cache(maxsize=16)
+def generate_terrain(seed, pit_radius, pit_depth, resolution, binary):
+    terrain = TerrainGenerator({
+        "mountainSeed": seed,
+        "pitRadius": pit_radius,
+        "pitDepth": pit_depth,
+        "resolution": resolution,
+    }).generate()
+    if binary:
+        return encode_terrain_binary(terrain)
+    return json.dumps(terrain, separators=(",", ":"))
+
+@app.get("/api/terrain")
+def terrain(
+    seed: float = Query(DEFAULT_PARAMS["mountainSeed"], ge=-1e6, le=1e6, allow_inf_nan=False),
+    pitRadius: float = Query(DEFAULT_PARAMS["pitRadius"], gt=0, le=60),
+    pitDepth: float = Query(DEFAULT_PARAMS["pitDepth"], ge=0, le=60),
+    resolution: int = Query(DEFAULT_PARAMS["resolution"], ge=16, le=256),
+    format: Literal["json", "bin"] = "json",
+):
+    binary = format == "bin"
+    content = generate_terrain(seed, pitRadius, pitDepth, resolution, binary)
+    media_type = "application/octet-stream" if binary else "application/json"
+    return Response(content=content, media_type=media_type)
+
+# Multiplayer: one connection per player, joined to a room with its first message
+# (see rooms.py for the protocol)
+@app.websocket("/ws/{room}")
+async def room_socket(websocket: WebSocket, room: str):
+    await websocket.accept()
+    if not is_valid_room_name(room):
+        await websocket.send_json({"type": "error", "message": "Invalid room name"})
+        await websocket.close()
+        return
+
+    try:
+        hello = parse_message(await websocket.receive_text())
+        if not hello or hello.get("type") != "join":
+            await websocket.send_json({"type": "error", "message": "Expected a join message"})
+            await websocket.close()
+            return
+        joined_room, player = await rooms.join(room, hello.get("name"), hello.get("color"), websocket.send_text)
+    except RoomFullError:
+        await websocket.send_json({"type": "error", "message": "Room is full"})
+        await websocket.close()
+        return
+    except KeyError:
+        # receive_text() got a binary frame - the protocol is JSON text only
+        await websocket.close(code=1003)
+        return
+    except WebSocketDisconnect:
+        return
+
+    try:
+        while True:
+            message = parse_message(await websocket.receive_text())
+            if message:
+                await joined_room.handle_message(player, message)
+    except KeyError:
+        await websocket.close(code=1003)
+    except WebSocketDisconnect:
+        pass
+    finally:
+        await rooms.leave(joined_room, player)
+
 if __name__ == "__main__":
     uvicorn.run(app, host="0.0.0.0", port=5000)
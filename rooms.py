@@ -0,0 +1,375 @@
+# rooms.py
+# Multiplayer rooms for the /ws/{room} WebSocket endpoint in main.py. Players join a
+# room by name and the server relays each player's state to everyone else in it; the
+# last state of every player is kept so newcomers see the others right away.
+# The server also owns the room's mushrooms: it decides where and when they grow and
+# who ate one, so every client sees the same ones and each is eaten only once.
+#
+# Messages are JSON objects with a "type":
+#   client -> server  join     {name, color}                 first message on a connection
+#                     state    {t, p, v, yaw, scale, anim}   at the client's send rate
+#                     eat      {id}                          the player touched a mushroom
+#                     chat     {text}                        a chat message
+#                     emote    {emote}                       play one of EMOTES
+#   server -> client  welcome  {id, room, players, mushrooms} reply to join (the others)
+#                     join     {player}                      another player joined
+#                     state    {id, t, ...}                  another player's state
+#                     leave    {id}                          another player left
+#                     spawn    {mushroom}                    {id, x, z, rotation, scale}
+#                     eat      {id, player}                  a mushroom was eaten, by player
+#                     chat     {id, name, text}              to everyone, the sender too
+#                     emote    {id, emote}                   to everyone, the sender too
+#                     notice   {message}                     to one player, e.g. too many messages
+#                     correct  {t, p, v}                     to one player, its state at tick t was off
+#                     error    {message}                     before the server closes
+import asyncio
+import itertools
+import json
+import math
+import random
+import re
+import time
+
+MAX_PLAYERS_PER_ROOM = 16
+MAX_NAME_LENGTH = 24
+DEFAULT_COLOR = "007dff"
+MAX_PLAYER_SCALE = 25.7  # Player.scalePlayer() limit
+ANIMATIONS = ("stand", "run", "jump", "swim")
+EMOTES = ("wave", "dance", "cheer")  # CharacterManager EMOTES
+
+# Faster states are corrected (see limit_state). Falling from the top of the mountain into
+# the death zone ends near 75 m/s. Positions aren't limited: with terrain streaming
+# (static/terrain-chunks.js) the world goes on wherever the player walks
+MAX_PLAYER_SPEED = 100.0
+
+# Chat and emotes share a budget: a burst of CHAT_BURST messages, then one every
+# CHAT_INTERVAL seconds
+MAX_CHAT_LENGTH = 120
+CHAT_BURST = 5
+CHAT_INTERVAL = 2.0
+
+# Mushrooms grow like in single player (GameObjects and updateMushrooms in index.html)
+MAX_MUSHROOMS = 3
+MUSHROOM_SPAWN_INTERVAL = (5.0, 15.0)  # s
+MUSHROOM_SPAWN_CHANCE = 0.7
+MUSHROOM_AREA = 80  # Side of the square around the origin they grow in
+MUSHROOM_SPACING = 5
+PORTAL_SPACING = 10
+PORTALS = ((-20, -35), (15, 15))  # Exit and entry portal x, z (static/objects.js)
+PLAYER_RADIUS = 0.57  # At scale 1
+MUSHROOM_RADIUS = 0.4  # At scale 1
+EAT_SLACK = 3.0  # A player's last state is up to a send interval old
+
+ROOM_NAME = re.compile(r"^[A-Za-z0-9_-]{1,32}$")
+COLOR = re.compile(r"^[0-9a-fA-F]{6}$")
+
+
+class RoomFullError(Exception):
+    pass
+
+
+def is_valid_room_name(name):
+    return bool(ROOM_NAME.match(name))
+
+
+# A JSON object from a client message, None if it isn't one
+def parse_message(text):
+    try:
+        message = json.loads(text)
+    except ValueError:
+        return None
+    return message if isinstance(message, dict) else None
+
+
+def clean_name(name, player_id):
+    name = " ".join(str(name or "").split())[:MAX_NAME_LENGTH]
+    return name or f"Player {player_id}"
+
+
+def clean_color(color):
+    color = str(color or "").lstrip("#")
+    return color.lower() if COLOR.match(color) else DEFAULT_COLOR
+
+
+def clean_vector(value):
+    if not isinstance(value, list) or len(value) != 3:
+        return None
+    try:
+        vector = [float(component) for component in value]
+    except (TypeError, ValueError):
+        return None
+    return vector if all(math.isfinite(component) for component in vector) else None
+
+
+def clean_number(value, default, low=-math.inf, high=math.inf):
+    try:
+        number = float(value)
+    except (TypeError, ValueError):
+        return default
+    return min(high, max(low, number)) if math.isfinite(number) else default
+
+
+# Validated copy of a client state message, None if position or velocity are unusable.
+# t is the sender's physics tick (see static/netcode.js)
+def clean_state(message):
+    position = clean_vector(message.get("p"))
+    velocity = clean_vector(message.get("v"))
+    if position is None or velocity is None:
+        return None
+
+    anim = message.get("anim")
+    return {
+        "t": int(clean_number(message.get("t"), 0, 0)),
+        "p": position,
+        "v": velocity,
+        "yaw": clean_number(message.get("yaw"), 0.0),
+        "scale": clean_number(message.get("scale"), 1.0, 1.0, MAX_PLAYER_SCALE),
+        "anim": anim if anim in ANIMATIONS else "stand",
+    }
+
+
+# Slow a cleaned state down to MAX_PLAYER_SPEED, in place. Returns whether it changed, in
+# which case the sender is told to correct its own state
+def limit_state(state):
+    velocity = state["v"]
+    speed = math.hypot(*velocity)
+    if speed <= MAX_PLAYER_SPEED:
+        return False
+    state["v"] = [component * MAX_PLAYER_SPEED / speed for component in velocity]
+    return True
+
+
+# Where and when a room's mushrooms grow. Only x and z are decided here - each client
+# puts the mushroom on its terrain surface. Ids count up per room, and a seed makes the
+# whole sequence repeatable
+class MushroomSpawner:
+    def __init__(self, seed=None, max_mushrooms=MAX_MUSHROOMS):
+        self.random = random.Random(seed)
+        self.max_mushrooms = max_mushrooms
+        self.mushrooms = {}
+        self.ids = itertools.count(1)
+
+    def next_interval(self):
+        return self.random.uniform(*MUSHROOM_SPAWN_INTERVAL)
+
+    # A new mushroom {id, x, z, rotation, scale}, or None when there are enough already,
+    # the spawn chance says no or no free spot was found
+    def spawn(self):
+        if len(self.mushrooms) >= self.max_mushrooms:
+            return None
+        if self.random.random() >= MUSHROOM_SPAWN_CHANCE:
+            return None
+
+        for _ in range(50):
+            x = (self.random.random() - 0.5) * MUSHROOM_AREA
+            z = (self.random.random() - 0.5) * MUSHROOM_AREA
+            if self.is_free(x, z):
+                break
+        else:
+            return None
+
+        mushroom = {
+            "id": next(self.ids),
+            "x": round(x, 3),
+            "z": round(z, 3),
+            "rotation": round(self.random.random() * math.pi * 2, 3),
+            "scale": round(0.7 + self.random.random() * 0.6, 3),
+        }
+        self.mushrooms[mushroom["id"]] = mushroom
+        return mushroom
+
+    def is_free(self, x, z):
+        if any(math.hypot(x - other["x"], z - other["z"]) < MUSHROOM_SPACING
+               for other in self.mushrooms.values()):
+            return False
+        return all(math.hypot(x - px, z - pz) >= PORTAL_SPACING for px, pz in PORTALS)
+
+    # Remove a mushroom for a player whose last state touches it. False when it is
+    # already gone (someone else was first) or the player is nowhere near it
+    def eat(self, mushroom_id, state):
+        mushroom = self.mushrooms.get(mushroom_id)
+        if mushroom is None or state is None:
+            return False
+
+        x, _, z = state["p"]
+        reach = PLAYER_RADIUS * state["scale"] + MUSHROOM_RADIUS * mushroom["scale"] + EAT_SLACK
+        if math.hypot(x - mushroom["x"], z - mushroom["z"]) > reach:
+            return False
+
+        del self.mushrooms[mushroom_id]
+        return True
+
+    def as_list(self):
+        return list(self.mushrooms.values())
+
+
+# Chat text on one line and cut to length, None if nothing is left
+def clean_chat(text):
+    if not isinstance(text, str):
+        return None
+    text = " ".join(text.split())[:MAX_CHAT_LENGTH]
+    return text or None
+
+
+class RoomPlayer:
+    # send: coroutine function sending one text message to this player's socket
+    def __init__(self, player_id, name, color, send):
+        self.id = player_id
+        self.name = name
+        self.color = color
+        self.send = send
+        self.state = None
+        self.chat_allowance = CHAT_BURST
+        self.chat_time = time.monotonic()
+
+    # Take one message from the chat budget, False when it is used up
+    def may_chat(self, now=None):
+        now = time.monotonic() if now is None else now
+        self.chat_allowance = min(CHAT_BURST, self.chat_allowance + (now - self.chat_time) / CHAT_INTERVAL)
+        self.chat_time = now
+        if self.chat_allowance < 1:
+            return False
+        self.chat_allowance -= 1
+        return True
+
+    def info(self):
+        return {"id": self.id, "name": self.name, "color": self.color, "state": self.state}
+
+
+class Room:
+    def __init__(self, name, seed=None):
+        self.name = name
+        self.players = {}
+        self.joining = 0  # Players being welcomed, who hold a place in the room
+        self.mushrooms = MushroomSpawner(seed)
+        self.spawner = None
+
+    def start(self):
+        self.spawner = asyncio.create_task(self.run_spawner())
+
+    def stop(self):
+        if self.spawner:
+            self.spawner.cancel()
+            self.spawner = None
+
+    async def run_spawner(self):
+        while True:
+            await asyncio.sleep(self.mushrooms.next_interval())
+            mushroom = self.mushrooms.spawn()
+            if mushroom:
+                await self.broadcast({"type": "spawn", "mushroom": mushroom})
+
+    # Send to everyone in the room except the player with id exclude. A failed send is
+    # ignored - that player's own connection handler notices and leaves the room
+    async def broadcast(self, message, exclude=None):
+        text = json.dumps(message, separators=(",", ":"))
+        for player in list(self.players.values()):
+            if player.id == exclude:
+                continue
+            try:
+                await player.send(text)
+            except Exception:
+                pass
+
+    async def handle_message(self, player, message):
+        if message.get("type") == "state":
+            state = clean_state(message)
+            if state is None:
+                return
+            if limit_state(state):
+                try:
+                    await player.send(json.dumps({"type": "correct", "t": state["t"], "p": state["p"], "v": state["v"]},
+                                                 separators=(",", ":")))
+                except Exception:
+                    pass
+            player.state = state
+            await self.broadcast({"type": "state", "id": player.id, **state}, exclude=player.id)
+        elif message.get("type") == "eat":
+            # First come, first served - the eater hears it back like everyone else
+            mushroom_id = message.get("id")
+            # bool is an int too - true would eat mushroom 1
+            if (isinstance(mushroom_id, int) and not isinstance(mushroom_id, bool)
+                    and self.mushrooms.eat(mushroom_id, player.state)):
+                await self.broadcast({"type": "eat", "id": mushroom_id, "player": player.id})
+        elif message.get("type") in ("chat", "emote"):
+            await self.handle_chat(player, message)
+
+    async def handle_chat(self, player, message):
+        if message["type"] == "chat":
+            text = clean_chat(message.get("text"))
+            if text is None:
+                return
+            reply = {"type": "chat", "id": player.id, "name": player.name, "text": text}
+        else:
+            if message.get("emote") not in EMOTES:
+                return
+            reply = {"type": "emote", "id": player.id, "emote": message["emote"]}
+
+        if not player.may_chat():
+            try:
+                await player.send(json.dumps({"type": "notice", "message": "Slow down - too many messages"},
+                                             separators=(",", ":")))
+            except Exception:
+                pass
+            return
+        await self.broadcast(reply)
+
+
+class RoomManager:
+    # seed: makes every room's mushrooms repeatable (each room still gets its own)
+    def __init__(self, max_players=MAX_PLAYERS_PER_ROOM, seed=None):
+        self.max_players = max_players
+        self.seed = seed
+        self.rooms = {}
+        self.player_ids = itertools.count(1)
+
+    # Add a player to a room (created on first join), send them the welcome and tell
+    # the others. Raises RoomFullError when the room has no space left
+    async def join(self, room_name, name, color, send):
+        room = self.rooms.get(room_name)
+        if room is None:
+            seed = None if self.seed is None else f"{self.seed}/{room_name}"
+            room = self.rooms[room_name] = Room(room_name, seed)
+            room.start()
+        if len(room.players) + room.joining >= self.max_players:
+            raise RoomFullError(room_name)
+
+        player_id = next(self.player_ids)
+        player = RoomPlayer(player_id, clean_name(name, player_id), clean_color(color), send)
+        # Hold the place while the welcome is sent, so the room isn't dropped (or filled)
+        # when the others leave (or join) meanwhile
+        room.joining += 1
+        try:
+            await player.send(json.dumps({
+                "type": "welcome",
+                "id": player_id,
+                "room": room_name,
+                "players": [other.info() for other in room.players.values()],
+                "mushrooms": room.mushrooms.as_list(),
+            }, separators=(",", ":")))
+        except Exception:
+            room.joining -= 1
+            self.remove_if_empty(room)
+            raise
+
+        # Only in the room once the welcome went out
+        room.joining -= 1
+        room.players[player_id] = player
+        await room.broadcast({"type": "join", "player": player.info()}, exclude=player_id)
+        print(f"Room {room_name}: {player.name} joined ({len(room.players)} players)")
+        return room, player
+
+    # Remove a player, tell the others and drop the room once it is empty
+    async def leave(self, room, player):
+        if room.players.pop(player.id, None) is None:
+            return
+        print(f"Room {room.name}: {player.name} left ({len(room.players)} players)")
+        if room.players:
+            await room.broadcast({"type": "leave", "id": player.id})
+        else:
+            self.remove_if_empty(room)
+
+    def remove_if_empty(self, room):
+        if not room.players and not room.joining and self.rooms.get(room.name) is room:
+            room.stop()
+            del self.rooms[room.name]
@@ -39,6 +39,7 @@ export class AnimationController {
     // Reset animation offsets
     this.animationOffsets.position.set(0, 0, 0);
     this.animationOffsets.scale.set(1, 1, 1);
+    this.bounceOffset = 0; // Set again by the animations that bounce
   
     if (currentAnimation === 'jump') {
       if (physicsState) {
@@ -60,6 +61,18 @@ export class AnimationController {
         case 'run':
           this.applyRunningAnimation();
           break;
+        case 'swim':
+          this.applySwimmingAnimation();
+          break;
+        case 'wave':
+          this.applyWaveAnimation();
+          break;
+        case 'dance':
+          this.applyDanceAnimation();
+          break;
+        case 'cheer':
+          this.applyCheerAnimation();
+          break;
       }
     }
   }
@@ -263,6 +276,132 @@ getBounceOffset() {
     }
   }
   
+  // Front crawl: arms circle in turn, legs flutter, body leans forward and bobs
+  applySwimmingAnimation() {
+    const time = this.animationTime;
+    const strokeSpeed = 4;
+    const kickSpeed = 12;
+    const { height, armLength } = this.params;
+    
+    // Quick small kicks
+    if (this.character.leftLeg) {
+      this.character.leftLeg.rotation.x = Math.sin(time * kickSpeed) * Math.PI/12;
+    }
+    
+    if (this.character.rightLeg) {
+      this.character.rightLeg.rotation.x = Math.sin(time * kickSpeed + Math.PI) * Math.PI/12;
+    }
+    
+    // Arms turn full circles, half a stroke apart, raised higher than the A-pose
+    if (this.character.leftArm) {
+      this.character.leftArm.rotation.z = Math.PI/2 + Math.PI/12;
+      this.character.leftArm.rotation.x = time * strokeSpeed % (Math.PI * 2);
+      this.character.leftArm.position.set(
+        -this.params.thickness - armLength/2 * Math.cos(Math.PI/12), 
+        height/4 - armLength/2 * Math.sin(Math.PI/12), 
+        0
+      );
+    }
+    
+    if (this.character.rightArm) {
+      this.character.rightArm.rotation.z = -Math.PI/2 - Math.PI/12;
+      this.character.rightArm.rotation.x = (time * strokeSpeed + Math.PI) % (Math.PI * 2);
+      this.character.rightArm.position.set(
+        this.params.thickness + armLength/2 * Math.cos(Math.PI/12), 
+        height/4 - armLength/2 * Math.sin(Math.PI/12), 
+        0
+      );
+    }
+    
+    // Lean into the stroke, rolling a little with each arm
+    if (this.character.torso) {
+      this.character.torso.rotation.x = 0.4;
+      this.character.torso.rotation.z = Math.sin(time * strokeSpeed) * 0.1;
+    }
+    if (this.character.head) this.character.head.rotation.y = Math.sin(time * strokeSpeed) * 0.2;
+    
+    // Bob on the surface
+    this.bounceOffset = Math.sin(time * strokeSpeed * 0.5) * 0.05;
+  }
+
+  // Swing the arms up or down around the shoulders: angles below horizontal (the A-pose
+  // is PI/6, negative raises the arm)
+  setArmAngles(leftAngle, rightAngle) {
+    const { height, armLength, thickness } = this.params;
+
+    if (this.character.leftArm) {
+      this.character.leftArm.rotation.z = Math.PI/2 + leftAngle;
+      this.character.leftArm.rotation.x = 0;
+      this.character.leftArm.position.set(
+        -thickness - armLength/2 * Math.cos(leftAngle), 
+        height/4 - armLength/2 * Math.sin(leftAngle), 
+        0
+      );
+    }
+    
+    if (this.character.rightArm) {
+      this.character.rightArm.rotation.z = -Math.PI/2 - rightAngle;
+      this.character.rightArm.rotation.x = 0;
+      this.character.rightArm.position.set(
+        thickness + armLength/2 * Math.cos(rightAngle), 
+        height/4 - armLength/2 * Math.sin(rightAngle), 
+        0
+      );
+    }
+  }
+  
+  // Emotes (CharacterManager.playEmote) - played standing still
+  applyWaveAnimation() {
+    const time = this.animationTime;
+    
+    // Right arm up, waving side to side
+    this.setArmAngles(Math.PI/6, -Math.PI/3 + Math.sin(time * 8) * Math.PI/8);
+    
+    if (this.character.leftLeg) this.character.leftLeg.rotation.x = 0;
+    if (this.character.rightLeg) this.character.rightLeg.rotation.x = 0;
+    if (this.character.torso) {
+      this.character.torso.rotation.x = 0;
+      this.character.torso.rotation.z = -0.05;
+    }
+    if (this.character.head) this.character.head.rotation.y = Math.sin(time * 2) * 0.15;
+  }
+  
+  applyDanceAnimation() {
+    const time = this.animationTime;
+    const beat = 6;
+    
+    // Arms pump up and down in turn, stepping from foot to foot
+    this.setArmAngles(Math.sin(time * beat) * Math.PI/4, -Math.sin(time * beat) * Math.PI/4);
+    
+    if (this.character.leftLeg) this.character.leftLeg.rotation.x = Math.max(0, Math.sin(time * beat)) * Math.PI/8;
+    if (this.character.rightLeg) this.character.rightLeg.rotation.x = Math.max(0, -Math.sin(time * beat)) * Math.PI/8;
+    if (this.character.torso) {
+      this.character.torso.rotation.x = 0;
+      this.character.torso.rotation.z = Math.sin(time * beat) * 0.15;
+    }
+    if (this.character.head) this.character.head.rotation.y = Math.sin(time * beat * 0.5) * 0.3;
+    
+    this.bounceOffset = Math.abs(Math.sin(time * beat)) * 0.1;
+  }
+  
+  applyCheerAnimation() {
+    const time = this.animationTime;
+    
+    // Both arms up, shaking, hopping on the spot
+    const shake = Math.abs(Math.sin(time * 10)) * Math.PI/12;
+    this.setArmAngles(-Math.PI/3 - shake, -Math.PI/3 - shake);
+    
+    if (this.character.leftLeg) this.character.leftLeg.rotation.x = 0;
+    if (this.character.rightLeg) this.character.rightLeg.rotation.x = 0;
+    if (this.character.torso) {
+      this.character.torso.rotation.x = -0.1;
+      this.character.torso.rotation.z = 0;
+    }
+    if (this.character.head) this.character.head.rotation.y = 0;
+    
+    this.bounceOffset = Math.abs(Math.sin(time * 5)) * 0.2;
+  }
+
   startJump() {
     if (this.isJumping) return;
     
@@ -1,4 +1,5 @@
 import * as THREE from '/static/three.module.min.js';
+import { getCubeUVDefines } from './sky-environment.js';
 
 export class CharacterBuilder {
   constructor(scene, params) {
@@ -6,6 +7,7 @@ export class CharacterBuilder {
     this.params = params;
     this.character = null;
     this.shaderMaterial = null;
+    this.environmentMap = null; // PMREM sky reflected by the head (see setEnvironmentMap)
     
     // Default lighting parameters
     this.lightingParams = {
@@ -180,6 +182,8 @@ export class CharacterBuilder {
       uniform float lightIntensity;
       uniform vec3 ambientColor;
       uniform float ambientIntensity;
+      uniform sampler2D envMap;
+      uniform float envMapIntensity;
       
       varying vec3 vNormal;
       varying vec3 vPosition;
@@ -188,6 +192,9 @@ export class CharacterBuilder {
       // Constants
       const float PI = 3.14159265359;
       
+      // textureCubeUV() for the PMREM environment map (only with ENVMAP_TYPE_CUBE_UV defined)
+      #include <cube_uv_reflection_fragment>
+      
       // GGX/Trowbridge-Reitz normal distribution function
       float DistributionGGX(vec3 N, vec3 H, float roughness) {
         float a = roughness * roughness;
@@ -271,6 +278,16 @@ export class CharacterBuilder {
         // Final color with light energy and ambient
         vec3 finalColor = (diffuse + specular) * radiance * NdotL + ambient;
         
+        #ifdef ENVMAP_TYPE_CUBE_UV
+        // Sky reflections: the environment map is sampled with world space directions
+        vec3 worldNormal = normalize((vec4(N, 0.0) * viewMatrix).xyz);
+        vec3 reflected = normalize((vec4(reflect(-V, N), 0.0) * viewMatrix).xyz);
+        vec3 envF = FresnelSchlick(max(dot(N, V), 0.0), F0);
+        vec3 envSpecular = textureCubeUV(envMap, reflected, roughness).rgb * envF;
+        vec3 envDiffuse = textureCubeUV(envMap, worldNormal, 1.0).rgb * color * (1.0 - envF) * (1.0 - metalness);
+        finalColor += (envSpecular + envDiffuse) * envMapIntensity;
+        #endif
+        
         // Gamma correction
         finalColor = pow(finalColor, vec3(1.0/2.2));
         
@@ -289,8 +306,11 @@ export class CharacterBuilder {
         lightColor: { value: this.lightingParams.lightColor },
         lightIntensity: { value: this.lightingParams.lightIntensity },
         ambientColor: { value: this.lightingParams.ambientColor },
-        ambientIntensity: { value: this.lightingParams.ambientIntensity }
+        ambientIntensity: { value: this.lightingParams.ambientIntensity },
+        envMap: { value: null },
+        envMapIntensity: { value: 0.6 }
       },
+      defines: {},
       vertexShader: headVertexShader,
       fragmentShader: headFragmentShader,
       vertexColors: false
@@ -457,6 +477,8 @@ export class CharacterBuilder {
     // Add backpack
     this.addBackpack();
 
+    this.applyEnvironmentMap();
+
     // Add to scene
     this.scene.add(this.character);
     
@@ -509,6 +531,26 @@ export class CharacterBuilder {
     }
   }
 
+  // Reflect a PMREM environment map (WorldManager.getEnvironmentMap()) on the head;
+  // null turns the reflections off
+  setEnvironmentMap(envMap) {
+    this.environmentMap = envMap;
+    this.applyEnvironmentMap();
+  }
+
+  applyEnvironmentMap() {
+    if (!this.character || !this.character.head) return;
+
+    const material = this.character.head.material;
+    // The cube UV defines depend on the map size, so only a new size recompiles
+    const defines = this.environmentMap ? getCubeUVDefines(this.environmentMap) : {};
+    if (JSON.stringify(defines) !== JSON.stringify(material.defines)) {
+      material.defines = defines;
+      material.needsUpdate = true;
+    }
+    material.uniforms.envMap.value = this.environmentMap;
+  }
+
   // Add method to create and add the backpack with lighting-aware shaders
   addBackpack() {
     if (!this.character || !this.character.torso) return;
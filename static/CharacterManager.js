@@ -2,6 +2,10 @@
 import * as THREE from '/static/three.module.min.js';
 import { CharacterBuilder } from './CharacterBuilder.js';
 import { AnimationController } from './AnimationController.js';
+import { SpeechBubble } from './speech-bubbles.js';
+
+// Animations a character can play on request while standing still (see playEmote)
+export const EMOTES = ['wave', 'dance', 'cheer'];
 
 export class CharacterManager {
   constructor(scene) {
@@ -26,11 +30,14 @@ export class CharacterManager {
     // Animation state
     this.currentAnimation = 'run'; // Default to running
     this.animationEnabled = true;
+    this.emote = null; // Emote playing instead of 'stand'
+    this.emoteTimeLeft = 0;
     
     // Character components
     this.characterBuilder = null;
     this.animationController = null;
     this.character = null;
+    this.speechBubble = null; // Created by the first say()
     this.clock = new THREE.Clock();
     
     // Movement direction for animation control
@@ -44,14 +51,20 @@ export class CharacterManager {
     this.ambientColor = new THREE.Color(0x404040);
     this.ambientIntensity = 0.3;
     
+    // Sky environment map for reflections, kept for when init() rebuilds the character
+    this.environmentMap = null;
+    
     // Time controller for lighting updates - to throttle updates
     this.lastLightingUpdate = 0;
     this.lightingUpdateInterval = 100; // milliseconds
   }
   
   init() {
+    this.disposeSpeechBubble();
+
     // Initialize character builder
     this.characterBuilder = new CharacterBuilder(this.scene, this.params);
+    this.characterBuilder.environmentMap = this.environmentMap;
     
     // Create the character
     this.character = this.characterBuilder.createCharacter();
@@ -127,7 +140,9 @@ export class CharacterManager {
   
     // Check physics state first if provided
     if (physicsState) {
-      if (physicsState.isJumping) {
+      if (physicsState.isSwimming) {
+        newAnimation = 'swim';
+      } else if (physicsState.isJumping) {
         newAnimation = 'jump';
       } else if (this.isMoving) {
         newAnimation = 'run';
@@ -137,6 +152,16 @@ export class CharacterManager {
       newAnimation = 'run';
     }
   
+    // An emote plays until it runs out or the character does anything but stand
+    if (this.emote) {
+      this.emoteTimeLeft -= dt;
+      if (newAnimation !== 'stand' || this.emoteTimeLeft <= 0) {
+        this.emote = null;
+      } else {
+        newAnimation = this.emote;
+      }
+    }
+  
     // Check if animation state needs to change
     if (this.currentAnimation !== newAnimation) {
       this.currentAnimation = newAnimation;
@@ -169,17 +194,54 @@ export class CharacterManager {
       this.character.position.y += bounceOffset;
     }
     
+    if (this.speechBubble) {
+      this.speechBubble.update(dt);
+    }
+    
     // Update lighting if parameters are provided
     if (lightParams) {
       this.updateLighting(lightParams);
     }
   }
   
+  // Play one of EMOTES for duration seconds. Returns false for unknown emotes
+  playEmote(name, duration = 3) {
+    if (!EMOTES.includes(name)) return false;
+    this.emote = name;
+    this.emoteTimeLeft = duration;
+    return true;
+  }
+  
+  // Show chat text in a bubble above the character
+  say(text) {
+    if (!this.character) return;
+    if (!this.speechBubble) {
+      this.speechBubble = new SpeechBubble(this.character);
+    }
+    this.speechBubble.show(text);
+  }
+  
+  disposeSpeechBubble() {
+    if (this.speechBubble) {
+      this.speechBubble.dispose();
+      this.speechBubble = null;
+    }
+  }
+  
+  // Reflect the sky's environment map (WorldManager.onEnvironmentChange) on the character
+  setEnvironmentMap(envMap) {
+    this.environmentMap = envMap;
+    if (this.characterBuilder) {
+      this.characterBuilder.setEnvironmentMap(envMap);
+    }
+  }
+  
   setAnimation(animName) {
     this.currentAnimation = animName;
   }
   
   dispose() {
+    this.disposeSpeechBubble();
     if (this.character) {
       this.characterBuilder.removeCharacter();
       this.character = null;
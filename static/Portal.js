@@ -1,6 +1,7 @@
 // Portal.js
 import * as THREE from '/static/three.module.min.js';
 import * as CANNON from '/dist/cannon-es.js';
+import { BLOOM_LAYER } from './render-pipeline.js';
 
 export class Portal {
   constructor(scene, world, params = {}) {
@@ -46,6 +47,7 @@ export class Portal {
       opacity: 0.8
     });
     const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.layers.enable(BLOOM_LAYER); // Glows with post-processing on
     this.portalGroup.add(ring);
 
     // Create inner surface
@@ -136,6 +138,7 @@ export class Portal {
     });
 
     this.particles = new THREE.Points(particleGeometry, particleMaterial);
+    this.particles.layers.enable(BLOOM_LAYER);
     this.portalGroup.add(this.particles);
   }
 
@@ -0,0 +1,106 @@
+// SurfaceDust.js
+// Small dust puffs kicked up by the player's footsteps and landings, tinted with the
+// dustColor of the surface the player is standing on (see surface-registry.js)
+import * as THREE from '/static/three.module.min.js';
+
+export class SurfaceDust {
+  constructor(scene, maxParticles = 120) {
+    this.scene = scene;
+    this.maxParticles = maxParticles;
+    this.lifetime = 0.6; // Seconds a particle stays visible
+    this.next = 0; // Ring buffer write position
+
+    // Per-particle state; dead particles have age >= lifetime
+    this.velocities = new Float32Array(maxParticles * 3);
+    this.ages = new Float32Array(maxParticles).fill(Infinity);
+    this.baseColors = new Float32Array(maxParticles * 3);
+
+    const geometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(maxParticles * 3);
+    for (let p = 0; p < maxParticles; p++) positions[p * 3 + 1] = -1000;
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxParticles * 3), 3));
+
+    const material = new THREE.PointsMaterial({
+      size: 0.25,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.8,
+      depthWrite: false
+    });
+
+    this.points = new THREE.Points(geometry, material);
+    this.points.frustumCulled = false; // Particles move around the whole map
+    this.scene.add(this.points);
+  }
+
+  // Emit a puff of count particles at position (THREE/CANNON vector), scale = player scale
+  emit(position, color, count = 6, scale = 1) {
+    const positions = this.points.geometry.getAttribute('position').array;
+    const tint = new THREE.Color(color);
+
+    for (let n = 0; n < count; n++) {
+      const p = this.next;
+      this.next = (this.next + 1) % this.maxParticles;
+
+      const angle = Math.random() * Math.PI * 2;
+      const speed = (0.5 + Math.random()) * scale;
+
+      positions[p * 3] = position.x + Math.cos(angle) * 0.2 * scale;
+      positions[p * 3 + 1] = position.y;
+      positions[p * 3 + 2] = position.z + Math.sin(angle) * 0.2 * scale;
+
+      this.velocities[p * 3] = Math.cos(angle) * speed;
+      this.velocities[p * 3 + 1] = (0.6 + Math.random() * 0.6) * scale;
+      this.velocities[p * 3 + 2] = Math.sin(angle) * speed;
+
+      this.baseColors[p * 3] = tint.r;
+      this.baseColors[p * 3 + 1] = tint.g;
+      this.baseColors[p * 3 + 2] = tint.b;
+      this.ages[p] = 0;
+    }
+
+    this.points.material.size = 0.25 * scale;
+  }
+
+  // Move and fade the particles
+  update(dt) {
+    const positions = this.points.geometry.getAttribute('position');
+    const colors = this.points.geometry.getAttribute('color');
+
+    for (let p = 0; p < this.maxParticles; p++) {
+      if (this.ages[p] >= this.lifetime) {
+        // Park dead particles far below the map (PointsMaterial has no per-point alpha)
+        positions.array[p * 3 + 1] = -1000;
+        continue;
+      }
+
+      this.ages[p] += dt;
+      const fade = Math.max(0, 1 - this.ages[p] / this.lifetime);
+
+      // Dust slows down quickly and settles
+      const drag = Math.max(0, 1 - 4 * dt);
+      this.velocities[p * 3] *= drag;
+      this.velocities[p * 3 + 1] = this.velocities[p * 3 + 1] * drag - 1.5 * dt;
+      this.velocities[p * 3 + 2] *= drag;
+
+      positions.array[p * 3] += this.velocities[p * 3] * dt;
+      positions.array[p * 3 + 1] += this.velocities[p * 3 + 1] * dt;
+      positions.array[p * 3 + 2] += this.velocities[p * 3 + 2] * dt;
+
+      // Dust lightens as it dissipates
+      colors.array[p * 3] = this.baseColors[p * 3] * fade + (1 - fade);
+      colors.array[p * 3 + 1] = this.baseColors[p * 3 + 1] * fade + (1 - fade);
+      colors.array[p * 3 + 2] = this.baseColors[p * 3 + 2] * fade + (1 - fade);
+    }
+
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+  }
+
+  dispose() {
+    this.scene.remove(this.points);
+    this.points.geometry.dispose();
+    this.points.material.dispose();
+  }
+}
@@ -0,0 +1,57 @@
+// canvas-sprite.js
+// Base of the labels hung over characters (NameTag, SpeechBubble): a camera facing sprite
+// showing a canvas. The sprite's bottom middle sits height above the character's origin,
+// and as a child of the character it follows it and grows with it - so sizes are in
+// character units, not world units.
+// The canvas keeps the size it was made with: three.js allocates the texture on the first
+// upload, so smaller content is drawn into it rather than resizing it.
+
+import * as THREE from '/static/three.module.min.js';
+
+export class CanvasSprite {
+  // options: worldWidth (sprite width - its height keeps the canvas aspect), height
+  //          (above the character's origin)
+  constructor(canvasWidth, canvasHeight, options = {}) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = canvasWidth;
+    this.canvas.height = canvasHeight;
+    this.context = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.minFilter = THREE.LinearFilter;
+
+    this.material = new THREE.SpriteMaterial({ map: this.texture, transparent: true, depthWrite: false });
+    this.sprite = new THREE.Sprite(this.material);
+    this.sprite.center.set(0.5, 0);
+    this.sprite.position.y = options.height || 0;
+    const worldWidth = options.worldWidth || 1;
+    this.sprite.scale.set(worldWidth, worldWidth * canvasHeight / canvasWidth, 1);
+
+    this.character = null;
+  }
+
+  // Upload what was drawn on the canvas
+  refresh() {
+    this.texture.needsUpdate = true;
+  }
+
+  setOpacity(opacity) {
+    this.material.opacity = opacity;
+    this.sprite.visible = opacity > 0;
+  }
+
+  // Hang the sprite on a character object, taking it off the previous one (null: none)
+  setCharacter(character) {
+    if (character === this.character) return;
+
+    if (this.character) this.character.remove(this.sprite);
+    this.character = character;
+    if (character) character.add(this.sprite);
+  }
+
+  dispose() {
+    this.setCharacter(null);
+    this.material.dispose();
+    this.texture.dispose();
+  }
+}
@@ -0,0 +1,174 @@
+// chat.js
+// Chat overlay for multiplayer rooms: a log of recent messages and a text box. On desktop
+// Enter opens the box (the caller releases the pointer lock, see Player.setTyping) and
+// Enter sends, Escape cancels; on mobile a Chat button opens it. "/wave" and the other
+// emote names play an emote instead of sending text.
+
+const MAX_LOG_LINES = 6;
+const LOG_FADE_TIME = 10000; // ms a line stays in the closed log
+
+export class ChatOverlay {
+  // options: isMobile, maxLength (characters, as the server allows), emotes (names)
+  constructor(options = {}) {
+    this.isMobile = options.isMobile || false;
+    this.maxLength = options.maxLength || 120;
+    this.emotes = options.emotes || [];
+    this.isOpen = false;
+
+    // Callbacks
+    this.canOpen = () => true; // Checked before Enter or the Chat button opens the chat
+    this.onOpen = null;
+    this.onClose = null;
+    this.onSend = null; // (text)
+    this.onEmote = null; // (emote)
+
+    this.createElements();
+
+    this.onKeyDown = (event) => {
+      if (event.code === 'Enter' && !this.isOpen && !event.ctrlKey && this.canOpen()) {
+        event.preventDefault();
+        this.open();
+      }
+    };
+    document.addEventListener('keydown', this.onKeyDown);
+  }
+
+  createElements() {
+    this.container = document.createElement('div');
+    this.container.style.cssText = 'position: fixed; left: 10px; top: 60px; width: 320px; max-width: 80%; ' +
+      'z-index: 20; color: white; font-size: 14px; pointer-events: none;';
+
+    this.log = document.createElement('div');
+    this.container.appendChild(this.log);
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.maxLength = this.maxLength;
+    this.input.placeholder = this.emotes.length ?
+      `Say something, or ${this.emotes.map(emote => '/' + emote).join(' ')}` : 'Say something';
+    this.input.style.cssText = 'display: none; width: 100%; box-sizing: border-box; padding: 6px; ' +
+      'border: none; border-radius: 4px; background: rgba(0, 0, 0, 0.6); color: white; ' +
+      'font-size: 16px; pointer-events: auto;';
+    this.input.addEventListener('keydown', (event) => {
+      // Keep the game's own key handlers out of the typing
+      event.stopPropagation();
+      if (event.code === 'Enter') {
+        event.preventDefault();
+        this.submit();
+      } else if (event.code === 'Escape') {
+        this.close();
+      }
+    });
+    this.input.addEventListener('keyup', (event) => event.stopPropagation());
+    this.container.appendChild(this.input);
+
+    document.body.appendChild(this.container);
+
+    if (this.isMobile) {
+      this.button = document.createElement('div');
+      this.button.textContent = 'Chat';
+      this.button.style.cssText = 'position: fixed; top: 10px; right: 10px; padding: 12px 16px; ' +
+        'z-index: 20; border-radius: 8px; background: rgba(255, 255, 255, 0.5); color: #000; ' +
+        'font-weight: bold; user-select: none; -webkit-tap-highlight-color: transparent;';
+      this.button.addEventListener('click', () => {
+        if (this.isOpen) {
+          this.submit();
+        } else if (this.canOpen()) {
+          this.open();
+        }
+      });
+      document.body.appendChild(this.button);
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this.input.style.display = 'block';
+    this.input.value = '';
+    this.input.focus();
+    for (const line of this.log.children) {
+      line.style.opacity = 1;
+    }
+    if (this.button) this.button.textContent = 'Send';
+    if (this.onOpen) this.onOpen();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.input.blur();
+    this.input.style.display = 'none';
+    this.fadeLog();
+    if (this.button) this.button.textContent = 'Chat';
+    if (this.onClose) this.onClose();
+  }
+
+  // Send what was typed (or play the emote it names) and close
+  submit() {
+    const text = this.input.value.trim();
+    this.close();
+    if (!text) return;
+
+    const emote = text.startsWith('/') ? text.slice(1).toLowerCase() : null;
+    if (emote !== null && this.emotes.includes(emote)) {
+      if (this.onEmote) this.onEmote(emote);
+    } else if (emote !== null) {
+      this.addNotice(`Unknown emote - try ${this.emotes.map(name => '/' + name).join(' ')}`);
+    } else if (this.onSend) {
+      this.onSend(text);
+    }
+  }
+
+  addMessage(name, text) {
+    const line = this.addLine();
+    const nameElement = document.createElement('b');
+    nameElement.textContent = name + ': ';
+    line.appendChild(nameElement);
+    line.appendChild(document.createTextNode(text));
+  }
+
+  // Messages from the game rather than a player
+  addNotice(text) {
+    const line = this.addLine();
+    line.style.fontStyle = 'italic';
+    line.textContent = text;
+  }
+
+  addLine() {
+    const line = document.createElement('div');
+    line.style.cssText = 'margin-bottom: 2px; padding: 2px 6px; border-radius: 4px; ' +
+      'background: rgba(0, 0, 0, 0.4); overflow-wrap: break-word; transition: opacity 1s;';
+    line.addedAt = performance.now();
+    this.log.appendChild(line);
+    while (this.log.children.length > MAX_LOG_LINES) {
+      this.log.removeChild(this.log.firstChild);
+    }
+    this.fadeLog();
+    return line;
+  }
+
+  // While closed, lines disappear LOG_FADE_TIME after they were added
+  fadeLog() {
+    if (this.isOpen) return;
+    const now = performance.now();
+    for (const line of this.log.children) {
+      const timeLeft = line.addedAt + LOG_FADE_TIME - now;
+      clearTimeout(line.fadeTimeout);
+      if (timeLeft <= 0) {
+        line.style.opacity = 0;
+      } else {
+        line.style.opacity = 1;
+        line.fadeTimeout = setTimeout(() => {
+          if (!this.isOpen) line.style.opacity = 0;
+        }, timeLeft);
+      }
+    }
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.container.remove();
+    if (this.button) this.button.remove();
+  }
+}
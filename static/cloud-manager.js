@@ -1,18 +1,104 @@
 import * as THREE from '/static/three.module.min.js';
 
+// Clouds are clusters of squashed spheres, all drawn as one InstancedMesh. Every sphere
+// drifts and swells a little around its place in the cluster, and the material fades
+// the sphere rims so the clusters look soft.
 export class CloudManager {
-  constructor(scene) {
+  // options: budget - maximum number of cloud spheres (instances); clusters that don't
+  // fit are skipped
+  constructor(scene, options = {}) {
     this.scene = scene;
-    this.clouds = [];
-    this.material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+    this.clouds = []; // Clusters: { position, spheres, growth, leaving }
+    this.budget = options.budget || 400;
+    this.sphereCount = 0;
+    this.time = 0;
+    this.material = this.createMaterial();
     // Increased polygon count for smoother clouds
     this.baseGeometry = new THREE.SphereGeometry(1, 12, 12);
+    this.mesh = null;
+    this.createInstancedMesh();
+    this.layout = null; // initClouds() arguments, to lay the ring out again (setBudget)
+
+    this.terrainSize = 150;
+    this.cloudHeight = 40;
+
+    // Weather clouds (see weather.js): extra clusters over the map that drift with the
+    // wind. The ring from initClouds() stays put as the horizon
+    this.weatherClouds = [];
+    this.maxWeatherClouds = 12;
+    this.targetWeatherClouds = 0;
+    this.weatherSpawnTimer = 0;
+    this.clearColor = new THREE.Color(0xffffff);
+    this.stormColor = new THREE.Color(0x50555C);
+  }
+
+  // Lambert material with per-instance opacity and soft, see-through sphere rims
+  createMaterial() {
+    const material = new THREE.MeshLambertMaterial({
+      color: 0xffffff,
+      transparent: true,
+      depthWrite: false // Overlapping spheres blend instead of cutting into each other
+    });
+
+    material.onBeforeCompile = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+attribute float instanceOpacity;
+varying float vInstanceOpacity;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+vInstanceOpacity = instanceOpacity;`);
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+varying float vInstanceOpacity;`)
+        .replace('#include <normal_fragment_begin>', `#include <normal_fragment_begin>
+// Fade out where the sphere surface turns away from the camera
+float facing = abs(dot(normal, normalize(vViewPosition)));
+diffuseColor.a *= smoothstep(0.0, 0.6, facing) * vInstanceOpacity;`);
+    };
+
+    return material;
+  }
+
+  // (Re)create the instanced mesh with room for budget spheres
+  createInstancedMesh() {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.dispose();
+    }
+
+    const opacities = new THREE.InstancedBufferAttribute(new Float32Array(this.budget), 1);
+    opacities.setUsage(THREE.DynamicDrawUsage);
+    this.baseGeometry.setAttribute('instanceOpacity', opacities);
+
+    this.mesh = new THREE.InstancedMesh(this.baseGeometry, this.material, this.budget);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.count = 0;
+    this.mesh.frustumCulled = false; // Instances drift around the whole sky
+    this.scene.add(this.mesh);
+  }
+
+  // Change the sphere budget, dropping the last created clusters if they no longer fit.
+  // A larger budget lays the ring out again to bring back clusters that were skipped
+  setBudget(budget) {
+    const grown = budget > this.budget;
+    this.budget = Math.max(0, Math.floor(budget));
+    while (this.sphereCount > this.budget && this.clouds.length > 0) {
+      this.removeCloud(this.clouds[this.clouds.length - 1]);
+    }
+    this.createInstancedMesh();
+
+    if (grown && this.layout) {
+      this.initClouds(this.layout.terrainSize, this.layout.mountainPosition);
+    }
+    this.updateInstances();
   }
 
   // Initialize clouds around the terrain
   initClouds(terrainSize, mountainPosition) {
     // Clear any existing clouds
     this.removeAllClouds();
+    this.layout = { terrainSize, mountainPosition };
     
     // Calculate the opposite direction from the mountain
     const oppositeDirection = Math.sign(mountainPosition) * -1;
@@ -25,6 +111,8 @@ export class CloudManager {
     
     // Height level for clouds - significantly higher
     const cloudHeight = 40;
+    this.terrainSize = terrainSize;
+    this.cloudHeight = cloudHeight;
     
     // Distance from center where clouds are placed - increased for bigger clouds
     const cloudDistance = terrainSize * 0.85;
@@ -142,48 +230,176 @@ export class CloudManager {
         scaleMultiplier = 1.0;
     }
     
-    // Create a group for this cloud cluster
-    const cloudGroup = new THREE.Group();
-    cloudGroup.position.set(x, y, z);
+    // Stay within the sphere budget
+    if (this.sphereCount + clusterSize > this.budget) {
+      return null;
+    }
+    
+    const cluster = {
+      position: new THREE.Vector3(x, y, z),
+      spheres: [],
+      growth: 1, // Weather clusters grow in and fade out (0..1)
+      leaving: false
+    };
     
     // Generate spheres for this cluster
     for (let i = 0; i < clusterSize; i++) {
-      // Create a cloud sphere with random position within the cluster bounds
-      const sphere = new THREE.Mesh(this.baseGeometry, this.material);
-      
-      // Set random position within the cluster
-      sphere.position.set(
-        (Math.random() - 0.5) * clusterWidth,
-        (Math.random() - 0.5) * clusterHeight,
-        (Math.random() - 0.5) * clusterDepth
-      );
-      
-      // Set random scale for each sphere to create much larger oval shapes
-      const scaleX = (10 + Math.random() * 8) * scaleMultiplier;
-      const scaleY = (7 + Math.random() * 5) * scaleMultiplier;
-      const scaleZ = (10 + Math.random() * 8) * scaleMultiplier;
-      sphere.scale.set(scaleX, scaleY, scaleZ);
-      
-      // Add sphere to the cloud group
-      cloudGroup.add(sphere);
+      // Random position within the cluster bounds and a large oval shape, plus a slow
+      // drift/swell animation of its own
+      cluster.spheres.push({
+        offset: new THREE.Vector3(
+          (Math.random() - 0.5) * clusterWidth,
+          (Math.random() - 0.5) * clusterHeight,
+          (Math.random() - 0.5) * clusterDepth
+        ),
+        scale: new THREE.Vector3(
+          (10 + Math.random() * 8) * scaleMultiplier,
+          (7 + Math.random() * 5) * scaleMultiplier,
+          (10 + Math.random() * 8) * scaleMultiplier
+        ),
+        phase: Math.random() * Math.PI * 2,
+        speed: 0.15 + Math.random() * 0.15
+      });
     }
     
-    // Add the cloud group to the scene and track it
-    this.scene.add(cloudGroup);
-    this.clouds.push(cloudGroup);
+    this.clouds.push(cluster);
+    this.sphereCount += clusterSize;
+    this.updateInstances();
     
-    return cloudGroup;
+    return cluster;
   }
   
   // Remove all clouds from the scene
   removeAllClouds() {
+    this.clouds = [];
+    this.weatherClouds = [];
+    this.sphereCount = 0;
+    this.updateInstances();
+  }
+
+  // Share (0..1) of maxWeatherClouds that should be over the map. Clusters are added or
+  // removed one at a time by update()
+  setCoverage(coverage) {
+    this.targetWeatherClouds = Math.round(THREE.MathUtils.clamp(coverage, 0, 1) * this.maxWeatherClouds);
+  }
+
+  // Tint all clouds from white (0) to storm grey (1)
+  setDarkness(darkness) {
+    this.material.color.copy(this.clearColor).lerp(this.stormColor, THREE.MathUtils.clamp(darkness, 0, 1));
+  }
+
+  // Animate the cloud spheres, drift the weather clouds with the wind (THREE.Vector3,
+  // units/s) and grow or shrink them towards the coverage
+  update(dt, wind = null) {
+    const growTime = 8; // Seconds for a cluster to grow in or fade out
+    const limit = this.terrainSize * 1.2;
+    this.time += dt;
+    
+    // Add or retire one cluster every couple of seconds
+    this.weatherSpawnTimer -= dt;
+    const staying = this.weatherClouds.filter(cloud => !cloud.leaving);
+    if (this.weatherSpawnTimer <= 0 && staying.length !== this.targetWeatherClouds) {
+      this.weatherSpawnTimer = 2;
+      if (staying.length < this.targetWeatherClouds) {
+        this.addWeatherCloud();
+      } else {
+        staying[0].leaving = true;
+      }
+    }
+    
+    for (const cloud of [...this.weatherClouds]) {
+      if (wind) {
+        cloud.position.x += wind.x * dt;
+        cloud.position.z += wind.z * dt;
+      }
+      
+      // Clouds blown past the edge come back in on the other side
+      const distance = Math.hypot(cloud.position.x, cloud.position.z);
+      if (distance > limit) {
+        cloud.position.x *= -0.95 * limit / distance;
+        cloud.position.z *= -0.95 * limit / distance;
+      }
+      
+      cloud.growth = THREE.MathUtils.clamp(cloud.growth + (cloud.leaving ? -dt : dt) / growTime, 0, 1);
+      if (cloud.leaving && cloud.growth === 0) {
+        this.removeCloud(cloud);
+      }
+    }
+    
+    this.updateInstances();
+  }
+
+  // Write every sphere's animated transform and opacity into the instanced mesh
+  updateInstances() {
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const scale = new THREE.Vector3();
+    const rotation = new THREE.Quaternion();
+    const opacities = this.baseGeometry.getAttribute('instanceOpacity');
+    const limit = this.terrainSize * 1.2;
+    let index = 0;
+    
     for (const cloud of this.clouds) {
-      this.scene.remove(cloud);
-      // Clean up geometries/materials if needed
-      cloud.children.forEach(child => {
-        child.geometry.dispose();
-      });
+      // Weather clouds fade in/out and soften towards the edge they wrap around at
+      let opacity = cloud.growth;
+      if (this.weatherClouds.includes(cloud)) {
+        const distance = Math.hypot(cloud.position.x, cloud.position.z);
+        opacity *= 1 - THREE.MathUtils.smoothstep(distance, limit * 0.8, limit);
+      }
+      const size = 0.6 + 0.4 * cloud.growth;
+      
+      for (const sphere of cloud.spheres) {
+        if (index >= this.budget) break;
+        
+        // Slow wander around the sphere's place in the cluster, breathing a little
+        const t = this.time * sphere.speed + sphere.phase;
+        position.set(
+          sphere.offset.x + Math.sin(t) * 2,
+          sphere.offset.y + Math.sin(t * 1.3) * 0.8,
+          sphere.offset.z + Math.cos(t * 0.7) * 2
+        ).multiplyScalar(size).add(cloud.position);
+        scale.copy(sphere.scale).multiplyScalar(size * (1 + 0.05 * Math.sin(t * 1.7)));
+        
+        this.mesh.setMatrixAt(index, matrix.compose(position, rotation, scale));
+        opacities.setX(index, opacity);
+        index++;
+      }
     }
-    this.clouds = [];
+    
+    this.mesh.count = index;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    opacities.needsUpdate = true;
+  }
+
+  // New weather cluster somewhere over the map, growing in from nothing
+  addWeatherCloud() {
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.sqrt(Math.random()) * this.terrainSize * 0.9;
+    const cloud = this.createCloudCluster(
+      Math.cos(angle) * distance,
+      this.cloudHeight + Math.random() * 15,
+      Math.sin(angle) * distance
+    );
+    if (!cloud) return null; // Over the sphere budget
+    
+    cloud.growth = 0;
+    this.weatherClouds.push(cloud);
+    return cloud;
+  }
+
+  // Remove a single cloud cluster
+  removeCloud(cloud) {
+    if (!this.clouds.includes(cloud)) return;
+    
+    this.clouds = this.clouds.filter(other => other !== cloud);
+    this.weatherClouds = this.weatherClouds.filter(other => other !== cloud);
+    this.sphereCount -= cloud.spheres.length;
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.baseGeometry.dispose();
+    this.material.dispose();
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,168 @@
+// day-night-cycle.js
+// Time of day for the scene: moves the sun (and the moon, opposite it) along an arc
+// and interpolates the sky color, fog density and light colors/intensities by the sun's
+// elevation. The one shadow-casting DirectionalLight follows the sun by day and the
+// moon by night, swapping while its intensity is 0, so everything reading the light
+// (e.g. the character shaders via lightParams) follows along.
+
+import * as THREE from '/static/three.module.min.js';
+
+// Lighting by sun elevation (y of the sun direction, -1..1), interpolated in between.
+// lightColor/lightIntensity are for the sun above elevation 0 and for the moon below it
+const KEYFRAMES = [
+  { elevation: -1.0, sky: 0x0B1026, fogDensity: 0.005, lightColor: 0x8899CC, lightIntensity: 0.5, ambientColor: 0x6677AA, ambientIntensity: 0.25, fillIntensity: 0.0 },
+  { elevation: -0.25, sky: 0x0B1026, fogDensity: 0.005, lightColor: 0x8899CC, lightIntensity: 0.5, ambientColor: 0x6677AA, ambientIntensity: 0.25, fillIntensity: 0.0 },
+  { elevation: -0.08, sky: 0x2B2F5A, fogDensity: 0.006, lightColor: 0x8899CC, lightIntensity: 0.0, ambientColor: 0x7777AA, ambientIntensity: 0.35, fillIntensity: 0.1 },
+  { elevation: 0.0, sky: 0x2B2F5A, fogDensity: 0.006, lightColor: 0xFF7A30, lightIntensity: 0.0, ambientColor: 0x9A8AAA, ambientIntensity: 0.45, fillIntensity: 0.2 },
+  { elevation: 0.1, sky: 0xF4A460, fogDensity: 0.0055, lightColor: 0xFF9A50, lightIntensity: 1.5, ambientColor: 0xFFD0A0, ambientIntensity: 0.7, fillIntensity: 0.5 },
+  { elevation: 0.35, sky: 0x87CEEB, fogDensity: 0.004, lightColor: 0xFFFFAA, lightIntensity: 2.5, ambientColor: 0xFFFFFF, ambientIntensity: 0.99, fillIntensity: 0.9 },
+  { elevation: 1.0, sky: 0x87CEEB, fogDensity: 0.004, lightColor: 0xFFFFAA, lightIntensity: 2.5, ambientColor: 0xFFFFFF, ambientIntensity: 0.99, fillIntensity: 0.9 }
+];
+
+export class DayNightCycle {
+  // lights: { sunLight, sunMesh, ambientLight, fillLight } from WorldManager.setupLighting()
+  // options: timeOfDay (0..1, 0.5 = noon), dayLength (seconds per full day), paused,
+  //          fogDensityScale (fog density multiplier of the graphics quality)
+  constructor(scene, lights, options = {}) {
+    this.scene = scene;
+    this.sunLight = lights.sunLight;
+    this.sunMesh = lights.sunMesh;
+    this.ambientLight = lights.ambientLight || null;
+    this.fillLight = lights.fillLight || null;
+
+    this.timeOfDay = options.timeOfDay !== undefined ? options.timeOfDay : 0.4;
+    this.dayLength = options.dayLength || 600;
+    this.paused = options.paused || false;
+    this.fogDensityScale = options.fogDensityScale || 1;
+
+    // The sun crosses the sky from east-ish to west-ish, peaking in the direction of
+    // the original fixed sun at noon, and circles below the ground at night
+    this.distance = this.sunLight.position.length();
+    this.noonDirection = this.sunLight.position.clone().normalize();
+    this.eastDirection = new THREE.Vector3(0, 1, 0).cross(this.noonDirection).normalize();
+
+    // Weather adjustments (see weather.js): overcast (0..1) greys the sky and dims the
+    // sun, fogScale multiplies the fog density, flash adds a lightning flash
+    this.atmosphere = { overcast: 0, fogScale: 1, flash: 0 };
+
+    this.sunDirection = new THREE.Vector3();
+    this.moonDirection = new THREE.Vector3();
+    this.sunElevation = 1;
+
+    // Visual moon, opposite the sun
+    const moonGeometry = new THREE.SphereGeometry(4, 24, 24);
+    const moonMaterial = new THREE.MeshBasicMaterial({ color: 0xDDE6FF, fog: false });
+    this.moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
+    this.scene.add(this.moonMesh);
+
+    // Scratch values for interpolation
+    this.colorA = new THREE.Color();
+    this.colorB = new THREE.Color();
+    this.sunMeshColor = new THREE.Color(0xFFFFAA);
+
+    this.apply();
+  }
+
+  // Advance the clock and update the scene
+  update(dt) {
+    if (!this.paused) {
+      this.timeOfDay = (this.timeOfDay + dt / this.dayLength) % 1;
+    }
+    this.apply();
+  }
+
+  // Jump to a time of day (0..1, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset)
+  setTimeOfDay(timeOfDay) {
+    this.timeOfDay = ((timeOfDay % 1) + 1) % 1;
+    this.apply();
+  }
+
+  // Time of day as "hh:mm"
+  getClockTime() {
+    const minutes = Math.floor(this.timeOfDay * 24 * 60);
+    return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+  }
+
+  // Set some of the weather adjustments (overcast, fogScale, flash)
+  setAtmosphere(atmosphere) {
+    Object.assign(this.atmosphere, atmosphere);
+  }
+
+  isNight() {
+    return this.sunElevation < 0;
+  }
+
+  // Place sun/moon and set the lights, sky and fog for the current time
+  apply() {
+    const angle = (this.timeOfDay - 0.25) * Math.PI * 2;
+    this.sunDirection.copy(this.eastDirection).multiplyScalar(Math.cos(angle))
+      .addScaledVector(this.noonDirection, Math.sin(angle)).normalize();
+    this.moonDirection.copy(this.sunDirection).negate();
+    this.sunElevation = this.sunDirection.y;
+
+    this.sunMesh.position.copy(this.sunDirection).multiplyScalar(this.distance);
+    this.moonMesh.position.copy(this.moonDirection).multiplyScalar(this.distance);
+    this.sunMesh.visible = this.sunElevation > -0.1;
+    this.moonMesh.visible = this.sunElevation < 0.1;
+
+    // The light sits at the sun by day and at the moon by night
+    const lightDirection = this.isNight() ? this.moonDirection : this.sunDirection;
+    this.sunLight.position.copy(lightDirection).multiplyScalar(this.distance);
+
+    const frame = this.sampleKeyframes(this.sunElevation);
+    const { overcast, fogScale, flash } = this.atmosphere;
+    this.sunLight.color.copy(frame.lightColor);
+    this.sunLight.intensity = frame.lightIntensity * (1 - 0.7 * overcast);
+    this.sunMesh.material.color.copy(this.sunMeshColor).lerp(frame.lightColor, 0.5);
+
+    if (this.ambientLight) {
+      this.ambientLight.color.copy(frame.ambientColor);
+      this.ambientLight.intensity = frame.ambientIntensity * (1 - 0.3 * overcast) + flash;
+    }
+    if (this.fillLight) {
+      this.fillLight.intensity = frame.fillIntensity * (1 - 0.5 * overcast);
+    }
+
+    // Overcast skies turn a darker grey, lightning lights them up
+    const grey = (frame.sky.r * 0.3 + frame.sky.g * 0.59 + frame.sky.b * 0.11) * (1 - 0.75 * overcast);
+    frame.sky.lerp(this.colorA.setRGB(grey, grey, grey), overcast);
+    frame.sky.lerp(this.colorB.setRGB(0.85, 0.88, 1), Math.min(1, flash * 0.5));
+
+    if (this.scene.background && this.scene.background.isColor) {
+      this.scene.background.copy(frame.sky);
+    }
+    if (this.scene.fog) {
+      this.scene.fog.color.copy(frame.sky);
+      if (this.scene.fog.isFogExp2) {
+        this.scene.fog.density = frame.fogDensity * fogScale * this.fogDensityScale;
+      }
+    }
+  }
+
+  // Interpolated keyframe values at a sun elevation
+  sampleKeyframes(elevation) {
+    let next = KEYFRAMES.findIndex(frame => frame.elevation >= elevation);
+    if (next <= 0) next = next === 0 ? 1 : KEYFRAMES.length - 1;
+    const a = KEYFRAMES[next - 1];
+    const b = KEYFRAMES[next];
+    const t = THREE.MathUtils.clamp((elevation - a.elevation) / (b.elevation - a.elevation), 0, 1);
+    const mix = (key) => a[key] + (b[key] - a[key]) * t;
+    const mixColor = (key) => this.colorA.set(a[key]).lerp(this.colorB.set(b[key]), t).clone();
+
+    return {
+      sky: mixColor('sky'),
+      fogDensity: mix('fogDensity'),
+      lightColor: mixColor('lightColor'),
+      lightIntensity: mix('lightIntensity'),
+      ambientColor: mixColor('ambientColor'),
+      ambientIntensity: mix('ambientIntensity'),
+      fillIntensity: mix('fillIntensity')
+    };
+  }
+
+  dispose() {
+    this.scene.remove(this.moonMesh);
+    this.moonMesh.geometry.dispose();
+    this.moonMesh.material.dispose();
+  }
+}
@@ -0,0 +1,128 @@
+// dynamic-resolution.js
+// Holds a target frame rate by scaling the renderer pixel ratio. The render loop feeds
+// every frame's time; averages over short windows lower the resolution when frames
+// run long and raise it again after a stretch of frames on target. Raising waits
+// longer each time it has to be undone soon after, so the scale doesn't flip back and
+// forth on a device that sits right at the edge.
+
+export class DynamicResolution {
+  // options: targetFps, minScale/maxScale (of the base pixel ratio), step (scale change),
+  //          enabled
+  constructor(renderer, basePixelRatio, options = {}) {
+    this.renderer = renderer;
+    this.basePixelRatio = basePixelRatio;
+    this.targetFps = options.targetFps || 60;
+    this.minScale = options.minScale || 0.5;
+    this.maxScale = options.maxScale || 1;
+    this.step = options.step || 0.1;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.scale = this.maxScale;
+
+    // Averaging window (s) and the frame times, relative to the target, that count as
+    // too slow (lower the scale) and as on target (may raise it)
+    this.sampleTime = 0.5;
+    this.slowFactor = 1.2;
+    this.fastFactor = 1.05;
+
+    // Seconds on target before raising the scale; doubled (up to maxRaiseDelay) when a
+    // raise is undone within raiseTestTime
+    this.minRaiseDelay = 3;
+    this.maxRaiseDelay = 30;
+    this.raiseDelay = this.minRaiseDelay;
+    this.raiseTestTime = 5;
+
+    this.sampleFrames = 0;
+    this.sampleElapsed = 0;
+    this.onTargetTime = 0;
+    this.sinceRaise = 0;
+    this.testingRaise = false;
+    this.averageFrameTime = null; // ms, last window
+
+    // Called with the new pixel ratio when it changes (e.g. to resize render targets)
+    this.onChange = null;
+
+    this.apply();
+  }
+
+  // Pixel ratio at scale 1 (from the graphics quality)
+  setBasePixelRatio(ratio) {
+    this.basePixelRatio = ratio;
+    this.apply();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.scale = this.maxScale;
+    this.apply();
+  }
+
+  // Feed one frame's duration in seconds - call every frame
+  update(dt) {
+    // Ignore stalls such as a hidden tab
+    if (!this.enabled || dt <= 0 || dt > 0.5) return;
+
+    this.sinceRaise += dt;
+    this.sampleFrames++;
+    this.sampleElapsed += dt;
+    if (this.sampleElapsed < this.sampleTime) return;
+
+    const frameTime = this.sampleElapsed / this.sampleFrames * 1000;
+    const targetTime = 1000 / this.targetFps;
+    this.averageFrameTime = frameTime;
+    this.sampleFrames = 0;
+    this.sampleElapsed = 0;
+
+    if (this.sinceRaise >= this.raiseTestTime) {
+      this.testingRaise = false;
+    }
+
+    if (frameTime > targetTime * this.slowFactor) {
+      this.onTargetTime = 0;
+      if (this.scale > this.minScale) {
+        // The last raise didn't hold - wait longer before the next one
+        if (this.testingRaise) {
+          this.testingRaise = false;
+          this.raiseDelay = Math.min(this.raiseDelay * 2, this.maxRaiseDelay);
+        }
+        this.setScale(this.scale - this.step);
+      }
+    } else if (frameTime < targetTime * this.fastFactor) {
+      this.onTargetTime += this.sampleTime;
+      if (this.onTargetTime >= this.raiseDelay && this.scale < this.maxScale) {
+        this.onTargetTime = 0;
+        this.sinceRaise = 0;
+        this.testingRaise = true;
+        this.setScale(this.scale + this.step);
+      }
+    } else {
+      this.onTargetTime = 0;
+    }
+  }
+
+  setScale(scale) {
+    // Round away float drift from repeated steps
+    this.scale = Math.round(Math.min(this.maxScale, Math.max(this.minScale, scale)) * 100) / 100;
+    this.apply();
+  }
+
+  getPixelRatio() {
+    return this.basePixelRatio * this.scale;
+  }
+
+  apply() {
+    const ratio = this.getPixelRatio();
+    if (this.renderer.getPixelRatio() === ratio) return;
+
+    this.renderer.setPixelRatio(ratio);
+    if (this.onChange) {
+      this.onChange(ratio);
+    }
+  }
+
+  // Debug panel text
+  getStatus() {
+    const frameTime = this.averageFrameTime === null ? 'n/a' : this.averageFrameTime.toFixed(1) + ' ms';
+    return `${Math.round(this.scale * 100)}% (pixel ratio ${this.getPixelRatio().toFixed(2)}, ` +
+      `${frameTime} for ${this.targetFps} fps)${this.enabled ? '' : ', off'}`;
+  }
+}
@@ -0,0 +1,74 @@
+// game-hud.js
+// On-screen state of the running GameMode (game-modes.js): its name, the objective, a
+// progress bar and the time left, and the result once it is over.
+
+export class GameHud {
+  // options: isMobile (changes the play again hint)
+  constructor(options = {}) {
+    this.isMobile = options.isMobile || false;
+    this.onRestart = null; // Tapped/clicked after a round ended
+
+    this.container = document.createElement('div');
+    this.container.style.cssText = 'position: fixed; top: 10px; left: 50%; transform: translateX(-50%); ' +
+      'min-width: 260px; padding: 8px 14px; border-radius: 8px; background: rgba(0, 0, 0, 0.5); ' +
+      'color: white; text-align: center; z-index: 20; display: none; user-select: none;';
+
+    this.title = document.createElement('div');
+    this.title.style.cssText = 'font-weight: bold; font-size: 18px;';
+    this.timer = document.createElement('div');
+    this.timer.style.cssText = 'font-size: 28px; font-variant-numeric: tabular-nums;';
+    this.objective = document.createElement('div');
+    this.objective.style.cssText = 'font-size: 14px;';
+
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 6px; margin-top: 6px; border-radius: 3px; background: rgba(255, 255, 255, 0.2); overflow: hidden;';
+    this.barFill = document.createElement('div');
+    this.barFill.style.cssText = 'width: 0%; height: 100%; background: #ffcc00;';
+    bar.appendChild(this.barFill);
+
+    this.result = document.createElement('div');
+    this.result.style.cssText = 'margin-top: 6px; font-size: 16px;';
+
+    this.container.append(this.title, this.timer, this.objective, bar, this.result);
+    this.container.addEventListener('click', () => {
+      if (this.ended && this.onRestart) this.onRestart();
+    });
+    document.body.appendChild(this.container);
+
+    this.ended = false;
+    this.text = {}; // Last shown text, to only touch the DOM on changes
+  }
+
+  setText(element, key, text) {
+    if (this.text[key] === text) return;
+    this.text[key] = text;
+    element.textContent = text;
+  }
+
+  // Show a mode's state (or hide the HUD for null) - call every frame
+  update(mode) {
+    if (!mode) {
+      this.container.style.display = 'none';
+      return;
+    }
+    this.container.style.display = 'block';
+
+    const seconds = Math.ceil(mode.timeLeft);
+    this.setText(this.title, 'title', mode.name);
+    this.setText(this.timer, 'timer', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+    this.setText(this.objective, 'objective', mode.state === 'ready' ? 'Starts when you do' : mode.getObjective());
+    this.barFill.style.width = `${Math.round(mode.getProgress() * 100)}%`;
+
+    this.ended = mode.state === 'won' || mode.state === 'lost';
+    let result = '';
+    if (this.ended) {
+      const again = this.isMobile ? 'Tap here to play again' : 'Press R to play again';
+      result = `${mode.state === 'won' ? 'You win!' : "Time's up!"} ${again}`;
+    }
+    this.setText(this.result, 'result', result);
+  }
+
+  dispose() {
+    this.container.remove();
+  }
+}
@@ -0,0 +1,212 @@
+// game-modes.js
+// Goals to play for. A GameMode runs from start() until it is won or lost, scoring as it
+// goes; the HUD (game-hud.js) shows its state.
+//   MushroomRush   eat a number of mushrooms before the time runs out
+//   KingOfThePit   spend long enough at the bottom of the pit before the time runs out
+// Modes only look at the local player. In a multiplayer room every player plays their
+// own round with the room's mushrooms, and bigger players can shove the others out of
+// the pit.
+
+export class GameMode {
+  // options: timeLimit (s)
+  constructor(name, options = {}) {
+    this.name = name;
+    this.timeLimit = options.timeLimit || 120;
+
+    this.state = 'ready'; // 'running', then 'won' or 'lost'
+    this.timeLeft = this.timeLimit;
+    this.score = 0;
+    this.context = null; // { player, gameObjects, worldManager, mushroomSystem } while running
+
+    this.onEnd = null; // (mode) - won or lost
+  }
+
+  start(context) {
+    this.context = context;
+    this.state = 'running';
+    this.timeLeft = this.timeLimit;
+    this.score = 0;
+    this.setup(context);
+    console.log(`${this.name} started`);
+  }
+
+  // Count down and score - call every frame while the player is playing
+  update(dt) {
+    if (this.state !== 'running') return;
+
+    this.timeLeft = Math.max(0, this.timeLeft - dt);
+    this.updateScore(dt);
+
+    if (this.isWon()) {
+      this.end(true);
+    } else if (this.isLost()) {
+      this.end(false);
+    }
+  }
+
+  end(won) {
+    if (this.state !== 'running') return;
+
+    this.state = won ? 'won' : 'lost';
+    this.teardown(this.context);
+    console.log(`${this.name} ${this.state}, score:`, this.score);
+    if (this.onEnd) this.onEnd(this);
+  }
+
+  // Back to 'ready' (ending a running round without a result), to be started again
+  reset() {
+    if (this.state === 'running') {
+      this.teardown(this.context);
+    }
+    this.state = 'ready';
+    this.timeLeft = this.timeLimit;
+    this.score = 0;
+    this.context = null;
+  }
+
+  // To override: set up and undo changes to the world, score, win and lose conditions
+  setup(context) {}
+  teardown(context) {}
+  updateScore(dt) {}
+
+  isWon() {
+    return false;
+  }
+
+  isLost() {
+    return this.timeLeft <= 0;
+  }
+
+  // The player ate a mushroom (Player.onEat)
+  onMushroomEaten(mushroom) {}
+
+  // HUD text for the goal and how far along it is (0..1)
+  getObjective() {
+    return '';
+  }
+
+  getProgress() {
+    return 0;
+  }
+}
+
+export class MushroomRush extends GameMode {
+  // options: timeLimit, target (mushrooms to eat), spawnInterval ([min, max] ms) and
+  //          maxMushrooms for the mushroom spawner during the round
+  constructor(options = {}) {
+    super('Mushroom Rush', options);
+    this.target = options.target || 8;
+    this.spawnInterval = options.spawnInterval || [1000, 3000];
+    this.maxMushrooms = options.maxMushrooms || 6;
+    this.savedSpawner = null;
+  }
+
+  // Mushrooms grow faster for the round (the room's spawner decides in multiplayer)
+  setup({ gameObjects, mushroomSystem }) {
+    this.savedSpawner = {
+      minSpawnInterval: mushroomSystem.minSpawnInterval,
+      maxSpawnInterval: mushroomSystem.maxSpawnInterval,
+      spawnChance: mushroomSystem.spawnChance,
+      maxMushrooms: gameObjects.maxMushrooms
+    };
+    mushroomSystem.minSpawnInterval = this.spawnInterval[0];
+    mushroomSystem.maxSpawnInterval = this.spawnInterval[1];
+    mushroomSystem.spawnChance = 1;
+    gameObjects.maxMushrooms = this.maxMushrooms;
+  }
+
+  teardown({ gameObjects, mushroomSystem }) {
+    if (!this.savedSpawner) return;
+
+    const { maxMushrooms, ...spawner } = this.savedSpawner;
+    Object.assign(mushroomSystem, spawner);
+    gameObjects.maxMushrooms = maxMushrooms;
+    this.savedSpawner = null;
+  }
+
+  onMushroomEaten() {
+    if (this.state === 'running') {
+      this.score++;
+    }
+  }
+
+  isWon() {
+    return this.score >= this.target;
+  }
+
+  getObjective() {
+    return `Mushrooms eaten: ${this.score} / ${this.target}`;
+  }
+
+  getProgress() {
+    return Math.min(this.score / this.target, 1);
+  }
+}
+
+export class KingOfThePit extends GameMode {
+  // options: timeLimit, goal (s to spend at the bottom), bottomRadius (share of the pit
+  //          radius counted as its bottom), bottomHeight (share of the pit depth above
+  //          the floor the player's feet may be)
+  constructor(options = {}) {
+    super('King of the Pit', options);
+    this.goal = options.goal || 30;
+    this.bottomRadius = options.bottomRadius || 0.35;
+    this.bottomHeight = options.bottomHeight || 0.3;
+    this.pit = null;
+    this.inPit = false;
+  }
+
+  setup({ worldManager }) {
+    this.pit = worldManager.getPit();
+    this.inPit = false;
+    if (!this.pit) {
+      console.warn("King of the Pit needs loaded terrain metadata");
+    }
+  }
+
+  // Whether the player's sphere is down on the pit floor
+  isAtBottom(player) {
+    if (!this.pit) return false;
+
+    const position = player.sphereBody.position;
+    const distance = Math.hypot(position.x - this.pit.center.x, position.z - this.pit.center.z);
+    const feet = position.y - player.sphereShape.radius;
+    return distance < this.pit.radius * this.bottomRadius &&
+      feet < this.pit.floor + this.pit.depth * this.bottomHeight;
+  }
+
+  updateScore(dt) {
+    this.inPit = this.isAtBottom(this.context.player);
+    if (this.inPit) {
+      this.score = Math.min(this.score + dt, this.goal);
+    }
+  }
+
+  isWon() {
+    return this.score >= this.goal;
+  }
+
+  getObjective() {
+    const hint = this.inPit ? 'hold the bottom!' : 'get down into the pit!';
+    return `Time in the pit: ${Math.floor(this.score)} / ${this.goal} s - ${hint}`;
+  }
+
+  getProgress() {
+    return this.score / this.goal;
+  }
+}
+
+// Modes by their ?mode= name
+export const GAME_MODES = {
+  rush: MushroomRush,
+  king: KingOfThePit
+};
+
+export function createGameMode(name, options = {}) {
+  const Mode = GAME_MODES[name];
+  if (!Mode) {
+    console.warn("Unknown game mode:", name);
+    return null;
+  }
+  return new Mode(options);
+}
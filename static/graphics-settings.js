@@ -0,0 +1,233 @@
+// graphics-settings.js
+// Graphics quality presets (low, medium, high) and the 'auto' setting, which picks a
+// preset from the frame times of the first seconds of play. The setting and the preset
+// auto picked are kept in localStorage; ?quality=<auto|low|medium|high> overrides the
+// stored setting for one visit.
+
+import * as THREE from '/static/three.module.min.js';
+
+// shadowMapSize:       sun (and spotlight) shadow map resolution
+// shadowType:          THREE shadow map type
+// spotlightShadows:    whether the fill spotlight casts shadows as well as the sun
+// antialias:           MSAA; only applies when the renderer is created (next page load)
+// pixelRatio:          upper limit for the renderer pixel ratio (window.devicePixelRatio)
+// fogScale:            fog density multiplier - denser fog hides the distance sooner
+// cloudBudget:         cloud sphere budget (CloudManager)
+// lodDistanceScale:    multiplier for the terrain LOD switch distances
+// postProcessing:      render through RenderPipeline (bloom, vignette, color grading)
+// fxaa:                FXAA in the pipeline, instead of MSAA
+export const QUALITY_PRESETS = {
+  low: {
+    shadowMapSize: 512,
+    shadowType: THREE.BasicShadowMap,
+    spotlightShadows: false,
+    antialias: false,
+    pixelRatio: 0.75,
+    fogScale: 1.6,
+    cloudBudget: 120,
+    lodDistanceScale: 0.5,
+    postProcessing: false,
+    fxaa: false
+  },
+  medium: {
+    shadowMapSize: 1024,
+    shadowType: THREE.PCFShadowMap,
+    spotlightShadows: false,
+    antialias: false,
+    pixelRatio: 1,
+    fogScale: 1.25,
+    cloudBudget: 250,
+    lodDistanceScale: 0.75,
+    postProcessing: true,
+    fxaa: true
+  },
+  high: {
+    shadowMapSize: 2048,
+    shadowType: THREE.PCFSoftShadowMap,
+    spotlightShadows: true,
+    antialias: true,
+    pixelRatio: 2,
+    fogScale: 1.0,
+    cloudBudget: 400,
+    lodDistanceScale: 1.0,
+    postProcessing: true,
+    fxaa: false
+  }
+};
+
+export const QUALITY_SETTINGS = ['auto', 'low', 'medium', 'high'];
+
+const STORAGE_KEY = 'bigPitGraphics';
+
+// Auto benchmark: frames skipped while shaders compile, frames measured, and the
+// average frame time (ms) each preset needs to stay within
+const BENCHMARK_WARMUP_FRAMES = 30;
+const BENCHMARK_FRAMES = 120;
+const BENCHMARK_THRESHOLDS = { high: 20, medium: 34 };
+
+export class GraphicsSettings {
+  constructor() {
+    const stored = this.load();
+    const requested = new URLSearchParams(window.location.search).get('quality');
+
+    this.quality = QUALITY_SETTINGS.includes(requested) ? requested :
+      (QUALITY_SETTINGS.includes(stored.quality) ? stored.quality : 'auto');
+    this.autoPreset = QUALITY_PRESETS[stored.autoPreset] ? stored.autoPreset : null;
+
+    // Called with the settings whenever the active preset changes
+    this.onChange = null;
+
+    // Auto without an earlier result runs medium until the benchmark has picked
+    this.benchmark = null;
+    if (this.quality === 'auto' && !this.autoPreset) {
+      this.benchmark = { frames: 0, time: 0 };
+    }
+
+    this.preset = this.resolvePreset();
+    console.log(`Graphics quality: ${this.quality} (${this.preset})`);
+  }
+
+  // Preset name in use for the current setting
+  resolvePreset() {
+    if (this.quality !== 'auto') return this.quality;
+    return this.autoPreset || 'medium';
+  }
+
+  // Settings of the active preset
+  getSettings() {
+    return QUALITY_PRESETS[this.preset];
+  }
+
+  // Active preset, with "(auto)" when chosen by the benchmark, for display
+  getLabel() {
+    if (this.quality !== 'auto') return this.preset;
+    return this.benchmark ? `${this.preset} (auto, measuring)` : `${this.preset} (auto)`;
+  }
+
+  // Change the setting (auto, low, medium, high) and remember it.
+  // Returns false for unknown settings
+  setQuality(quality) {
+    if (!QUALITY_SETTINGS.includes(quality)) {
+      console.warn("Unknown graphics quality:", quality);
+      return false;
+    }
+
+    this.quality = quality;
+    if (quality === 'auto' && !this.autoPreset && !this.benchmark) {
+      this.benchmark = { frames: 0, time: 0 };
+    }
+    this.save();
+    this.setPreset(this.resolvePreset());
+    return true;
+  }
+
+  // Step to the next setting in QUALITY_SETTINGS
+  cycleQuality() {
+    const next = QUALITY_SETTINGS[(QUALITY_SETTINGS.indexOf(this.quality) + 1) % QUALITY_SETTINGS.length];
+    this.setQuality(next);
+    return next;
+  }
+
+  setPreset(preset) {
+    if (preset === this.preset) return;
+
+    const antialias = this.getSettings().antialias;
+    this.preset = preset;
+    console.log(`Graphics preset: ${preset}`);
+    if (this.getSettings().antialias !== antialias) {
+      console.log("Antialiasing changes with the next page load");
+    }
+
+    if (this.onChange) {
+      this.onChange(this.getSettings());
+    }
+  }
+
+  // RenderPipeline options of the active preset; MSAA moves to the pipeline's scene
+  // target when antialiasing is on
+  getPipelineOptions() {
+    const settings = this.getSettings();
+    return {
+      enabled: settings.postProcessing,
+      fxaa: settings.fxaa,
+      samples: settings.antialias ? 4 : 0
+    };
+  }
+
+  // Renderer pixel ratio of the active preset on this display
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, this.getSettings().pixelRatio);
+  }
+
+  // Renderer settings of the active preset. Antialiasing is fixed when the renderer
+  // is created (pass getSettings().antialias to THREE.WebGLRenderer). Materials in
+  // scene are recompiled when the shadow map type changes
+  applyToRenderer(renderer, scene = null) {
+    const settings = this.getSettings();
+    renderer.setPixelRatio(this.getPixelRatio());
+    renderer.shadowMap.enabled = true;
+
+    if (renderer.shadowMap.type !== settings.shadowType) {
+      renderer.shadowMap.type = settings.shadowType;
+      if (scene) {
+        scene.traverse(object => {
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          for (const material of materials) {
+            if (material) material.needsUpdate = true;
+          }
+        });
+      }
+    }
+  }
+
+  // Feed frame times to the auto benchmark - call every frame
+  update(dt) {
+    if (!this.benchmark) return;
+
+    // Ignore stalls such as a hidden tab
+    if (dt <= 0 || dt > 0.5) return;
+
+    const benchmark = this.benchmark;
+    benchmark.frames++;
+    if (benchmark.frames <= BENCHMARK_WARMUP_FRAMES) return;
+
+    benchmark.time += dt;
+    if (benchmark.frames < BENCHMARK_WARMUP_FRAMES + BENCHMARK_FRAMES) return;
+
+    const frameTime = benchmark.time / BENCHMARK_FRAMES * 1000;
+    let preset = 'low';
+    if (frameTime <= BENCHMARK_THRESHOLDS.high) {
+      preset = 'high';
+    } else if (frameTime <= BENCHMARK_THRESHOLDS.medium) {
+      preset = 'medium';
+    }
+
+    console.log(`Graphics benchmark: ${frameTime.toFixed(1)} ms per frame, picking ${preset}`);
+    this.benchmark = null;
+    this.autoPreset = preset;
+    this.save();
+    if (this.quality === 'auto') {
+      this.setPreset(preset);
+    }
+  }
+
+  // Stored { quality, autoPreset }, empty if there is none or storage is unavailable
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        quality: this.quality,
+        autoPreset: this.autoPreset
+      }));
+    } catch (error) {
+      console.warn("Could not save graphics settings:", error);
+    }
+  }
+}
@@ -38,6 +38,7 @@ export class PointerLockControlsCannon extends THREE.EventDispatcher {
     // Custom events
     this.lockEvent = { type: 'lock' };
     this.unlockEvent = { type: 'unlock' };
+    this.lockErrorEvent = { type: 'lockerror' }; // The browser refused lock()
     
     // Initialize event listeners
     this.connect();
@@ -78,6 +79,7 @@ export class PointerLockControlsCannon extends THREE.EventDispatcher {
   
   onPointerlockError = () => {
     console.error('PointerLockControlsCannon: Unable to use Pointer Lock API');
+    this.dispatchEvent(this.lockErrorEvent);
   }
   
   connect() {
@@ -97,7 +99,9 @@ export class PointerLockControlsCannon extends THREE.EventDispatcher {
   }
   
   lock() {
-    document.body.requestPointerLock();
+    // Newer browsers also reject the returned promise; pointerlockerror reports it
+    const request = document.body.requestPointerLock();
+    if (request) request.catch(() => {});
   }
   
   unlock() {
@@ -0,0 +1,117 @@
+// name-tags.js
+// Player names floating above characters. The sprite is depth tested, so terrain in front
+// hides a tag, and tags fade out with distance - further for bigger players, who are seen
+// from further away.
+
+import * as THREE from '/static/three.module.min.js';
+import { CanvasSprite } from './canvas-sprite.js';
+
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 96;
+const WORLD_WIDTH = 2; // Wide enough for a long name over the character
+const BASE_SCALE = 0.6; // Character scale at player scale 1 (see CharacterManager.init)
+
+export class NameTag extends CanvasSprite {
+  // options: color (CSS color for the stripe under the name), height (above the
+  //          character's origin, in character units)
+  constructor(characterManager, name, options = {}) {
+    super(CANVAS_WIDTH, CANVAS_HEIGHT, {
+      worldWidth: WORLD_WIDTH,
+      height: options.height !== undefined ? options.height : 1.0
+    });
+    this.characterManager = characterManager;
+    this.name = name;
+    this.color = options.color || '#ffffff';
+
+    this.draw();
+    this.attach();
+  }
+
+  draw() {
+    const context = this.context;
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    context.font = 'Bold 48px Arial';
+    const width = Math.min(CANVAS_WIDTH, context.measureText(this.name).width + 48);
+    const left = (CANVAS_WIDTH - width) / 2;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.beginPath();
+    context.roundRect(left, 8, width, CANVAS_HEIGHT - 16, 16);
+    context.fill();
+
+    context.fillStyle = this.color;
+    context.fillRect(left + 16, CANVAS_HEIGHT - 20, width - 32, 4);
+
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(this.name, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 4, CANVAS_WIDTH - 48);
+
+    this.refresh();
+  }
+
+  setName(name) {
+    if (name === this.name) return;
+    this.name = name;
+    this.draw();
+  }
+
+  // Follow the character object, which CharacterManager.init() replaces on a rebuild
+  attach() {
+    this.setCharacter(this.characterManager.character);
+  }
+
+  // Fade between fadeStart and fadeEnd (world units at player scale 1) from the camera
+  update(cameraPosition, fadeStart, fadeEnd) {
+    this.attach();
+    if (!this.character) return;
+
+    const growth = this.character.scale.x / BASE_SCALE;
+    const distance = this.character.position.distanceTo(cameraPosition) / growth;
+    this.setOpacity(THREE.MathUtils.clamp((fadeEnd - distance) / (fadeEnd - fadeStart), 0, 1));
+  }
+}
+
+// Every name tag in the scene, faded for the camera each frame
+export class NameTags {
+  // options: fadeStart, fadeEnd (world units from the camera at player scale 1)
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.fadeStart = options.fadeStart !== undefined ? options.fadeStart : 20;
+    this.fadeEnd = options.fadeEnd !== undefined ? options.fadeEnd : 40;
+    this.tags = new Map(); // CharacterManager -> NameTag
+    this.cameraPosition = new THREE.Vector3();
+  }
+
+  // Put a name above a CharacterManager's character (replacing its tag, if any).
+  // options: NameTag options
+  add(characterManager, name, options = {}) {
+    this.remove(characterManager);
+    const tag = new NameTag(characterManager, name, options);
+    this.tags.set(characterManager, tag);
+    return tag;
+  }
+
+  remove(characterManager) {
+    const tag = this.tags.get(characterManager);
+    if (!tag) return;
+
+    tag.dispose();
+    this.tags.delete(characterManager);
+  }
+
+  // Call every frame, after the characters moved
+  update() {
+    this.camera.getWorldPosition(this.cameraPosition);
+    for (const tag of this.tags.values()) {
+      tag.update(this.cameraPosition, this.fadeStart, this.fadeEnd);
+    }
+  }
+
+  clear() {
+    for (const characterManager of [...this.tags.keys()]) {
+      this.remove(characterManager);
+    }
+  }
+}
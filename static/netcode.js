@@ -0,0 +1,266 @@
+// netcode.js
+// Smooth motion for networked players, counted in fixed physics ticks: WorldManager.step()
+// advances the world in 1/60 s steps and world.stepnumber counts them, so every state a
+// client sends is stamped with its tick (see Player.getNetworkState).
+//   SnapshotBuffer      plays a remote player's states back a little in the past,
+//                       interpolating between them and extrapolating briefly past the newest
+//   PredictionHistory   the local player's recent states by tick, to turn a correction for
+//                       a past tick into the error to apply now
+//   CorrectionSmoother  hides such a correction by easing the drawn character after the body
+//   SimulatedLink       latency, jitter and packet loss for testing
+// Plain arrays and numbers only - no three.js or DOM - so all of it runs headless.
+
+export const TICK_RATE = 60;
+
+// Shortest signed difference between two angles
+function angleDelta(from, to) {
+  let delta = (to - from) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return delta;
+}
+
+export class SnapshotBuffer {
+  // options: tickRate, interpolationDelay (s behind the sender), maxExtrapolation (s past
+  //          the newest snapshot), maxJitterDelay (s of extra delay for uneven arrivals),
+  //          capacity (snapshots kept)
+  constructor(options = {}) {
+    this.tickRate = options.tickRate || TICK_RATE;
+    this.interpolationDelay = options.interpolationDelay !== undefined ? options.interpolationDelay : 0.1;
+    this.maxExtrapolation = options.maxExtrapolation !== undefined ? options.maxExtrapolation : 0.25;
+    this.maxJitterDelay = options.maxJitterDelay !== undefined ? options.maxJitterDelay : 0.25;
+    this.capacity = options.capacity || 32;
+
+    this.snapshots = []; // Sorted by tick
+
+    // Sender clock: local tick minus sender tick on arrival, over the last offsetWindow
+    // snapshots. The smallest is the least delayed one; the spread is the jitter
+    this.offsetWindow = 60;
+    this.offsetSamples = [];
+    this.offset = 0;
+    this.jitter = 0; // ticks
+
+    this.extrapolating = false;
+    this.result = { p: [0, 0, 0], v: [0, 0, 0], yaw: 0, scale: 1, anim: 'stand', extrapolated: false };
+  }
+
+  // Add a received state: { t (sender tick), p, v, yaw, scale, anim }. now: local time
+  // in seconds. Returns false for duplicates and snapshots too old to be played
+  push(snapshot, now) {
+    this.offsetSamples.push(now * this.tickRate - snapshot.t);
+    if (this.offsetSamples.length > this.offsetWindow) {
+      this.offsetSamples.shift();
+    }
+    this.offset = Math.min(...this.offsetSamples);
+    this.jitter = Math.min(Math.max(...this.offsetSamples) - this.offset, this.maxJitterDelay * this.tickRate);
+
+    // Keep the order by tick - late packets may arrive after newer ones
+    let index = this.snapshots.length;
+    while (index > 0 && this.snapshots[index - 1].t > snapshot.t) index--;
+    if (index > 0 && this.snapshots[index - 1].t === snapshot.t) return false;
+    if (index === 0 && this.snapshots.length >= 2 && snapshot.t < this.snapshots[0].t) return false;
+
+    this.snapshots.splice(index, 0, snapshot);
+    if (this.snapshots.length > this.capacity) {
+      this.snapshots.shift();
+    }
+    return true;
+  }
+
+  // Total playback delay in seconds
+  getDelay() {
+    return this.interpolationDelay + this.jitter / this.tickRate;
+  }
+
+  // Sender tick shown at local time now
+  getRenderTick(now) {
+    return now * this.tickRate - this.offset - this.getDelay() * this.tickRate;
+  }
+
+  // State at local time now (a shared object, overwritten by the next call), or null
+  // before the first snapshot
+  sample(now) {
+    if (this.snapshots.length === 0) return null;
+
+    const tick = this.getRenderTick(now);
+    // Keep one snapshot at or before the render tick
+    while (this.snapshots.length > 2 && this.snapshots[1].t <= tick) {
+      this.snapshots.shift();
+    }
+
+    const result = this.result;
+    const from = this.snapshots[0];
+    const to = this.snapshots[1];
+    const newest = this.snapshots[this.snapshots.length - 1];
+
+    if (tick <= from.t) {
+      // Not there yet (first snapshots): hold the oldest
+      this.copy(from, 0);
+    } else if (to && tick <= to.t) {
+      const alpha = (tick - from.t) / (to.t - from.t);
+      for (let i = 0; i < 3; i++) {
+        result.p[i] = from.p[i] + (to.p[i] - from.p[i]) * alpha;
+        result.v[i] = from.v[i] + (to.v[i] - from.v[i]) * alpha;
+      }
+      result.yaw = from.yaw + angleDelta(from.yaw, to.yaw) * alpha;
+      result.scale = from.scale + (to.scale - from.scale) * alpha;
+      result.anim = alpha < 0.5 ? from.anim : to.anim;
+      result.extrapolated = false;
+    } else {
+      // Ran out of snapshots (loss or a stall): carry on along the velocity for a while,
+      // then hold
+      const ahead = Math.min((tick - newest.t) / this.tickRate, this.maxExtrapolation);
+      this.copy(newest, ahead);
+    }
+
+    this.extrapolating = result.extrapolated;
+    return result;
+  }
+
+  copy(snapshot, ahead) {
+    const result = this.result;
+    for (let i = 0; i < 3; i++) {
+      result.p[i] = snapshot.p[i] + snapshot.v[i] * ahead;
+      result.v[i] = snapshot.v[i];
+    }
+    result.yaw = snapshot.yaw;
+    result.scale = snapshot.scale;
+    result.anim = snapshot.anim;
+    result.extrapolated = ahead > 0;
+  }
+
+  clear() {
+    this.snapshots = [];
+    this.offsetSamples = [];
+    this.jitter = 0;
+  }
+}
+
+// The local player's states by tick. When a correction for an earlier tick arrives from
+// whoever has authority over it, the error at that tick is what the local simulation got
+// wrong. The world isn't rewound and replayed: moving the body by that error now gives
+// the same result as long as the steps since then didn't depend on where the body was
+export class PredictionHistory {
+  constructor(capacity = 120) {
+    this.capacity = capacity; // 2 s of ticks
+    this.entries = [];
+  }
+
+  // Predicted state after tick (call once per frame, after the physics step)
+  record(tick, position, velocity) {
+    const last = this.entries[this.entries.length - 1];
+    if (last && last.t >= tick) return;
+
+    this.entries.push({
+      t: tick,
+      p: [position.x, position.y, position.z],
+      v: [velocity.x, velocity.y, velocity.z]
+    });
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+  }
+
+  // Error (authoritative minus predicted) at tick: { p, v } arrays, or null when the tick
+  // is older than the history. Uses the newest recorded tick at or before tick, forgets
+  // the ones before it and shifts the later ones by the error, as the caller applies it
+  reconcile(tick, position, velocity) {
+    let index = -1;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].t <= tick) {
+        index = i;
+        break;
+      }
+    }
+    if (index < 0) return null;
+
+    const entry = this.entries[index];
+    const error = {
+      p: entry.p.map((value, i) => position[i] - value),
+      v: entry.v.map((value, i) => velocity[i] - value)
+    };
+
+    this.entries.splice(0, index);
+    for (const later of this.entries) {
+      for (let i = 0; i < 3; i++) {
+        later.p[i] += error.p[i];
+        later.v[i] += error.v[i];
+      }
+    }
+    return error;
+  }
+}
+
+// Offset from the body to where the character is drawn after a correction; it decays
+// so the character slides onto the corrected position instead of popping
+export class CorrectionSmoother {
+  // halfLife: seconds to halve the offset; snapDistance: errors beyond it aren't smoothed
+  constructor(halfLife = 0.1, snapDistance = 4) {
+    this.halfLife = halfLife;
+    this.snapDistance = snapDistance;
+    this.offset = [0, 0, 0];
+  }
+
+  // The body moved by error - keep the drawn position where it was
+  add(error) {
+    if (Math.hypot(error[0], error[1], error[2]) > this.snapDistance) {
+      this.offset = [0, 0, 0];
+      return;
+    }
+    for (let i = 0; i < 3; i++) {
+      this.offset[i] -= error[i];
+    }
+  }
+
+  update(dt) {
+    const decay = Math.pow(0.5, dt / this.halfLife);
+    for (let i = 0; i < 3; i++) {
+      this.offset[i] *= decay;
+    }
+  }
+}
+
+// Stand-in for a network connection: messages arrive after latency +- jitter seconds,
+// and a share of the unreliable ones (loss) never do. Ordered like a WebSocket, so a
+// delayed message also holds back the ones after it
+export class SimulatedLink {
+  // options: latency, jitter (s), loss (0..1), ordered, random (for seeded tests)
+  constructor(options = {}) {
+    this.latency = options.latency || 0;
+    this.jitter = options.jitter || 0;
+    this.loss = options.loss || 0;
+    this.ordered = options.ordered !== undefined ? options.ordered : true;
+    this.random = options.random || Math.random;
+
+    this.queue = []; // { time, message }, by delivery time
+    this.lastDelivery = 0;
+    this.sent = 0;
+    this.dropped = 0;
+  }
+
+  // now: sender time in seconds. reliable: the message is only delayed, never lost
+  send(message, now, reliable = false) {
+    this.sent++;
+    if (!reliable && this.random() < this.loss) {
+      this.dropped++;
+      return;
+    }
+
+    let time = now + Math.max(0, this.latency + (this.random() * 2 - 1) * this.jitter);
+    if (this.ordered) {
+      time = Math.max(time, this.lastDelivery);
+      this.lastDelivery = time;
+    }
+
+    let index = this.queue.length;
+    while (index > 0 && this.queue[index - 1].time > time) index--;
+    this.queue.splice(index, 0, { time, message });
+  }
+
+  // Messages due by now, in arrival order
+  receive(now) {
+    let count = 0;
+    while (count < this.queue.length && this.queue[count].time <= now) count++;
+    return this.queue.splice(0, count).map(entry => entry.message);
+  }
+}
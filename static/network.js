@@ -0,0 +1,229 @@
+// network.js
+// Client side of the multiplayer rooms (rooms.py, served at /ws/<room>). Joins a room
+// with the player's name and color, sends the local player's state at a fixed rate and
+// hands the other players' joins, states and leaves to callbacks, along with the room's
+// mushrooms, which the server spawns and hands out, everyone's chat and emotes, and the
+// server's corrections of our own state. Lost connections are retried with a growing
+// delay.
+
+import { SimulatedLink } from './netcode.js';
+
+export class NetworkClient {
+  // identity: { name, color } (color as hex without '#')
+  // options: url (WebSocket URL, default /ws/<room> on this host), sendRate (states/s),
+  //          simulation ({ latency, jitter, loss } added to incoming messages, for testing;
+  //          only states are lost)
+  constructor(room, identity, options = {}) {
+    this.room = room;
+    this.identity = identity;
+    this.url = options.url || NetworkClient.getRoomUrl(room);
+    this.sendRate = options.sendRate || 15;
+    this.link = options.simulation ? new SimulatedLink(options.simulation) : null;
+
+    this.socket = null;
+    this.connected = false;
+    this.closed = false; // disconnect() was called, or the server refused us
+    this.id = null; // Our player id in the room, from the welcome message
+    this.playerCount = 0; // Others in the room
+    this.lastError = null;
+
+    this.sendTimer = 0;
+    this.minReconnectDelay = 1;
+    this.maxReconnectDelay = 30;
+    this.reconnectDelay = this.minReconnectDelay;
+    this.reconnectTimeout = null;
+
+    // Callbacks
+    this.onWelcome = null; // (players) - the others already in the room, with their last state
+    this.onPlayerJoin = null; // (player) - { id, name, color, state }
+    this.onPlayerState = null; // (id, state) - { t, p, v, yaw, scale, anim }
+    this.onPlayerLeave = null; // (id)
+    this.onMushrooms = null; // (mushrooms) - all of the room's mushrooms, on joining
+    this.onMushroomSpawn = null; // (mushroom) - { id, x, z, rotation, scale }
+    this.onMushroomEaten = null; // (id, playerId) - whoever got there first, maybe us
+    this.onChat = null; // (id, name, text) - our own messages come back too
+    this.onEmote = null; // (id, emote) - likewise
+    this.onNotice = null; // (message) - from the server, to us only
+    this.onCorrection = null; // (state) - { t, p, v }: the server limited our state at tick t
+  }
+
+  // Room endpoint on the server that served the page
+  static getRoomUrl(room) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/ws/${encodeURIComponent(room)}`;
+  }
+
+  connect() {
+    this.closed = false;
+    console.log("Connecting to room:", this.url);
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.send({ type: 'join', name: this.identity.name, color: this.identity.color });
+    });
+    socket.addEventListener('message', (event) => {
+      const message = this.parseMessage(event.data);
+      if (!message) return;
+
+      if (this.link) {
+        // The simulation may lose states, as a real game would send them unreliably -
+        // the rest only arrive late, since losing a welcome or a leave can't happen
+        this.link.send(message, performance.now() / 1000, message.type !== 'state');
+      } else {
+        this.handleMessage(message);
+      }
+    });
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;
+      this.handleClose();
+    });
+  }
+
+  parseMessage(data) {
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      console.warn("Ignoring malformed network message:", data);
+      return null;
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.connected = true;
+        this.id = message.id;
+        this.playerCount = message.players.length;
+        this.reconnectDelay = this.minReconnectDelay;
+        console.log(`Joined room ${message.room} as player ${message.id}, ${message.players.length} others here`);
+        if (this.onWelcome) this.onWelcome(message.players);
+        if (this.onMushrooms) this.onMushrooms(message.mushrooms);
+        break;
+
+      case 'join':
+        this.playerCount++;
+        if (this.onPlayerJoin) this.onPlayerJoin(message.player);
+        break;
+
+      case 'state':
+        if (this.onPlayerState) {
+          const { type, id, ...state } = message;
+          this.onPlayerState(id, state);
+        }
+        break;
+
+      case 'leave':
+        this.playerCount = Math.max(0, this.playerCount - 1);
+        if (this.onPlayerLeave) this.onPlayerLeave(message.id);
+        break;
+
+      case 'spawn':
+        if (this.onMushroomSpawn) this.onMushroomSpawn(message.mushroom);
+        break;
+
+      case 'eat':
+        if (this.onMushroomEaten) this.onMushroomEaten(message.id, message.player);
+        break;
+
+      case 'chat':
+        if (this.onChat) this.onChat(message.id, message.name, message.text);
+        break;
+
+      case 'emote':
+        if (this.onEmote) this.onEmote(message.id, message.emote);
+        break;
+
+      case 'notice':
+        if (this.onNotice) this.onNotice(message.message);
+        break;
+
+      case 'correct':
+        if (this.onCorrection) this.onCorrection(message);
+        break;
+
+      case 'error':
+        // The server closes the connection after an error - don't come back
+        console.warn("Room error:", message.message);
+        this.lastError = message.message;
+        this.closed = true;
+        break;
+    }
+  }
+
+  handleClose() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+    this.id = null;
+    this.playerCount = 0;
+
+    // Everyone else is gone from our point of view until the next welcome
+    if (wasConnected && this.onWelcome) this.onWelcome([]);
+    if (this.closed) return;
+
+    console.warn(`Connection to room lost, retrying in ${this.reconnectDelay} s`);
+    this.reconnectTimeout = setTimeout(() => this.connect(), this.reconnectDelay * 1000);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Ask to eat a mushroom the local player touched; the answer is an onMushroomEaten for
+  // whoever was first
+  eatMushroom(id) {
+    this.send({ type: 'eat', id });
+  }
+
+  // Chat and emotes go to everyone once the server relays them (it limits how many)
+  sendChat(text) {
+    this.send({ type: 'chat', text });
+  }
+
+  sendEmote(emote) {
+    this.send({ type: 'emote', emote });
+  }
+
+  // Send the local player's state at sendRate - call every frame.
+  // getState: returns { t, p, v, yaw, scale, anim } (see Player.getNetworkState)
+  update(dt, getState) {
+    if (this.link) {
+      this.link.receive(performance.now() / 1000).forEach(message => this.handleMessage(message));
+    }
+    if (!this.connected) return;
+
+    this.sendTimer += dt;
+    const interval = 1 / this.sendRate;
+    if (this.sendTimer < interval) return;
+
+    // Keep the rate without catching up after a stall
+    this.sendTimer = Math.min(this.sendTimer - interval, interval);
+    this.send({ type: 'state', ...getState() });
+  }
+
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimeout);
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+
+  // Debug panel text
+  getStatus() {
+    if (this.connected) {
+      const simulation = this.link ?
+        `, simulating ${Math.round(this.link.latency * 1000)} ms, ${Math.round(this.link.loss * 100)}% loss` : '';
+      return `room ${this.room}, player ${this.id}, ${this.playerCount} others${simulation}`;
+    }
+    if (this.closed) {
+      return `room ${this.room}, ${this.lastError || 'disconnected'}`;
+    }
+    return `room ${this.room}, connecting...`;
+  }
+}
@@ -13,6 +13,11 @@ export class GameObjects {
     this.maxMushrooms = 3;
     this.mushroomGeometries = {};
     this.mushroomMaterials = {};
+    // In a multiplayer room the server spawns the mushrooms and decides who eats them
+    // (see setSharedMushrooms); touching one then only asks for it
+    this.sharedMushrooms = false;
+    this.onMushroomRequest = null; // (id) - with shared mushrooms
+    this.mushroomRequestRetry = 1000; // ms before asking again for a mushroom still touched
 
     // Portal-related properties
     this.portals = [];
@@ -48,10 +53,11 @@ export class GameObjects {
     this.mushroomGeometries.stem = stemGeometry;
 
     // Create materials with some subsurface scattering effect for the mushroom
-    this.mushroomMaterials.cap = new THREE.MeshPhongMaterial({
+    // The cap is a standard material so it reflects the sky (scene.environment)
+    this.mushroomMaterials.cap = new THREE.MeshStandardMaterial({
       color: 0xffffff,
-      shininess: 30,
-      specular: 0x333333
+      roughness: 0.4,
+      metalness: 0.0
     });
 
     this.mushroomMaterials.stem = new THREE.MeshPhongMaterial({
@@ -144,7 +150,8 @@ export class GameObjects {
   }
 
   // Create a mushroom at a specific position
-  createMushroom(position) {
+  // options: id, rotation and scale (random by default)
+  createMushroom(position, options = {}) {
     // Create a group to hold all parts of the mushroom
     const mushroom = new THREE.Group();
 
@@ -162,10 +169,10 @@ export class GameObjects {
     mushroom.position.copy(position);
 
     // Add some random rotation around Y axis
-    mushroom.rotation.y = Math.random() * Math.PI * 2;
+    mushroom.rotation.y = options.rotation !== undefined ? options.rotation : Math.random() * Math.PI * 2;
 
     // Add some random scale variation (0.7 to 1.3)
-    const scale = 0.7 + Math.random() * 0.6;
+    const scale = options.scale !== undefined ? options.scale : 0.7 + Math.random() * 0.6;
     mushroom.scale.set(scale, scale, scale);
 
     // Create physics body for collision detection
@@ -178,7 +185,7 @@ export class GameObjects {
     mushroomBody.addShape(mushroomShape);
 
     // Store reference to the mesh in the body for easy access during collision
-    mushroomBody.userData = { type: 'mushroom', mesh: mushroom, id: Date.now() };
+    mushroomBody.userData = { type: 'mushroom', mesh: mushroom, id: options.id !== undefined ? options.id : Date.now() };
 
     // Add to physics world
     this.world.addBody(mushroomBody);
@@ -208,30 +215,9 @@ export class GameObjects {
       const randomX = (Math.random() - 0.5) * terrainSize;
       const randomZ = (Math.random() - 0.5) * terrainSize;
 
-      // Start from a high position and raytrace down to find the surface
-      const rayStart = new THREE.Vector3(randomX, 100, randomZ);
-      const rayDir = new THREE.Vector3(0, -1, 0);
-      const raycaster = new THREE.Raycaster(rayStart, rayDir);
-
-      // Check for intersections with terrain
-      const terrains = [terrainMeshes.flat, terrainMeshes.pit];
-      if (terrainMeshes.mountain) {
-        terrains.push(terrainMeshes.mountain);
-      }
-
-      // Filter out null values
-      const validTerrains = terrains.filter(terrain => terrain !== null);
-
-      // Get intersections with terrains
-      const intersects = raycaster.intersectObjects(validTerrains);
-
-      if (intersects.length > 0) {
-        // Found a valid position on terrain
-        const intersectionPoint = intersects[0].point;
-
-        // Add a small offset to avoid z-fighting
-        intersectionPoint.y += 0.05;
+      const intersectionPoint = this.findTerrainSurface(randomX, randomZ, terrainMeshes);
 
+      if (intersectionPoint) {
         // Check if this point is too close to other mushrooms
         const tooClose = this.mushrooms.some(mushroom => {
           const distance = mushroom.mesh.position.distanceTo(intersectionPoint);
@@ -254,6 +240,32 @@ export class GameObjects {
     return null;
   }
 
+  // Point on the terrain surface below x, z (slightly above it), or null off the terrain
+  findTerrainSurface(x, z, terrainMeshes) {
+    // Start from a high position and raytrace down to find the surface
+    const rayStart = new THREE.Vector3(x, 100, z);
+    const rayDir = new THREE.Vector3(0, -1, 0);
+    const raycaster = new THREE.Raycaster(rayStart, rayDir);
+
+    // Check for intersections with terrain
+    const terrains = [terrainMeshes.flat, terrainMeshes.pit];
+    if (terrainMeshes.mountain) {
+      terrains.push(terrainMeshes.mountain);
+    }
+
+    // Filter out null values
+    const validTerrains = terrains.filter(terrain => terrain !== null);
+
+    // Get intersections with terrains
+    const intersects = raycaster.intersectObjects(validTerrains);
+    if (intersects.length === 0) return null;
+
+    // Add a small offset to avoid z-fighting
+    const point = intersects[0].point;
+    point.y += 0.05;
+    return point;
+  }
+
   // Spawn a mushroom at a random position on terrain
   spawnRandomMushroom(terrainMeshes) {
     // Check if we're already at max mushrooms
@@ -272,6 +284,47 @@ export class GameObjects {
     return null;
   }
 
+  // Let a multiplayer room own the mushrooms: the local ones go, and from now on they
+  // only come from spawnSharedMushroom(). request: (id) - asks the room for a mushroom
+  setSharedMushrooms(request) {
+    this.sharedMushrooms = true;
+    this.onMushroomRequest = request;
+    this.setMushrooms([]);
+  }
+
+  // Replace all mushrooms with the room's ({ id, x, z, rotation, scale } each)
+  setMushrooms(mushrooms, terrainMeshes) {
+    while (this.mushrooms.length > 0) {
+      this.removeMushroom(this.mushrooms[0].id);
+    }
+    mushrooms.forEach(mushroom => this.spawnSharedMushroom(mushroom, terrainMeshes));
+  }
+
+  // Add a mushroom spawned by the room, on this client's terrain surface
+  spawnSharedMushroom(mushroom, terrainMeshes) {
+    if (this.getMushroom(mushroom.id)) return null;
+
+    const position = this.findTerrainSurface(mushroom.x, mushroom.z, terrainMeshes);
+    if (!position) {
+      console.warn("No terrain below shared mushroom", mushroom.id);
+      return null;
+    }
+    return this.createMushroom(position, mushroom);
+  }
+
+  getMushroom(mushroomId) {
+    return this.mushrooms.find(m => m.id === mushroomId) || null;
+  }
+
+  // The player touched a shared mushroom: ask the room for it. The room only answers if
+  // it hands the mushroom out, and may turn us down when our last state hadn't reached
+  // it yet - so a player still touching it asks again every mushroomRequestRetry ms
+  requestMushroom(mushroom, now = performance.now()) {
+    if (mushroom.requestedAt !== undefined && now - mushroom.requestedAt < this.mushroomRequestRetry) return;
+    mushroom.requestedAt = now;
+    if (this.onMushroomRequest) this.onMushroomRequest(mushroom.id);
+  }
+
   // Remove a mushroom from the scene and physics world
   removeMushroom(mushroomId) {
     const index = this.mushrooms.findIndex(m => m.id === mushroomId);
@@ -0,0 +1,134 @@
+// player-collisions.js
+// Physical presence for the other players in a multiplayer room. Every remote player gets
+// a kinematic sphere (a proxy) that follows its interpolated state, so balls and
+// mushrooms bounce off it.
+//
+// Pushes between players follow one rule on every client: a client only ever moves its
+// own player, by its share of the push - the other player's weight over both weights,
+// weight being the cube of the player's scale (Player.scalePlayer()). Both clients work
+// out the same two shares from the same scales, and the shares add up to one full
+// push. A giant barely notices a normal sized player, who is shoved out of the way;
+// equally sized players push each other apart equally. The other clients then see the
+// result in the pushed player's state updates.
+//
+// The local player's body doesn't touch the proxies in the solver (collision groups);
+// its share of the push is applied before each physics step instead.
+
+import * as CANNON from '/dist/cannon-es.js';
+
+export const COLLISION_GROUPS = {
+  DEFAULT: 1,
+  LOCAL_PLAYER: 2,
+  REMOTE_PLAYER: 4
+};
+
+const PLAYER_RADIUS = 0.57; // Player radius at scale 1 (see Player.createPlayerBody)
+
+export class PlayerCollisions {
+  // options: restitution (bounce of a push), separation (share of the overlap removed
+  //          per physics step, so a deep overlap opens up over a few steps)
+  constructor(world, player, options = {}) {
+    this.world = world;
+    this.player = player;
+    this.restitution = options.restitution !== undefined ? options.restitution : 0.3;
+    this.separation = options.separation || 0.5;
+
+    this.proxies = new Map(); // remote player id -> kinematic body
+
+    this.player.sphereBody.collisionFilterGroup = COLLISION_GROUPS.LOCAL_PLAYER;
+
+    this.normal = new CANNON.Vec3();
+    this.onPreStep = () => this.resolvePushes();
+    this.world.addEventListener('preStep', this.onPreStep);
+  }
+
+  addProxy(id) {
+    this.removeProxy(id);
+
+    const body = new CANNON.Body({
+      type: CANNON.Body.KINEMATIC,
+      shape: new CANNON.Sphere(PLAYER_RADIUS),
+      collisionFilterGroup: COLLISION_GROUPS.REMOTE_PLAYER,
+      collisionFilterMask: ~COLLISION_GROUPS.LOCAL_PLAYER
+    });
+    body.cameraCollidable = false;
+    body.remotePlayerId = id;
+    this.world.addBody(body);
+    this.proxies.set(id, body);
+    return body;
+  }
+
+  removeProxy(id) {
+    const body = this.proxies.get(id);
+    if (!body) return;
+
+    this.world.removeBody(body);
+    this.proxies.delete(id);
+  }
+
+  // Move a proxy to the remote player's (interpolated) state - call every frame.
+  // The velocity carries it along between frames and gives contacts their speed
+  updateProxy(id, position, velocity, scale) {
+    const body = this.proxies.get(id);
+    if (!body) return;
+
+    body.position.set(position.x, position.y, position.z);
+    body.velocity.set(velocity.x, velocity.y, velocity.z);
+
+    const shape = body.shapes[0];
+    const radius = PLAYER_RADIUS * scale;
+    if (shape.radius !== radius) {
+      shape.radius = radius;
+      shape.updateBoundingSphereRadius();
+      body.updateBoundingRadius();
+    }
+  }
+
+  // Share (0..1) of a push between two players that moves the first one
+  static getPushShare(scale, otherScale) {
+    const weight = scale * scale * scale;
+    const otherWeight = otherScale * otherScale * otherScale;
+    return otherWeight / (weight + otherWeight);
+  }
+
+  // The local player's share of every push with an overlapping proxy
+  resolvePushes() {
+    const body = this.player.sphereBody;
+    const radius = this.player.sphereShape.radius;
+    const normal = this.normal;
+
+    for (const proxy of this.proxies.values()) {
+      const otherRadius = proxy.shapes[0].radius;
+      body.position.vsub(proxy.position, normal);
+      const distance = normal.length();
+      const overlap = radius + otherRadius - distance;
+      if (overlap <= 0) continue;
+
+      // Straight on top of each other: push up
+      if (distance < 1e-6) {
+        normal.set(0, 1, 0);
+      } else {
+        normal.scale(1 / distance, normal);
+      }
+
+      const share = PlayerCollisions.getPushShare(radius / PLAYER_RADIUS, otherRadius / PLAYER_RADIUS);
+      body.position.addScaledVector(overlap * share * this.separation, normal, body.position);
+
+      // Take out our share of the closing speed, with some bounce
+      const closing = (body.velocity.x - proxy.velocity.x) * normal.x +
+        (body.velocity.y - proxy.velocity.y) * normal.y +
+        (body.velocity.z - proxy.velocity.z) * normal.z;
+      if (closing < 0) {
+        body.velocity.addScaledVector(-(1 + this.restitution) * closing * share, normal, body.velocity);
+      }
+    }
+  }
+
+  dispose() {
+    this.world.removeEventListener('preStep', this.onPreStep);
+    for (const id of [...this.proxies.keys()]) {
+      this.removeProxy(id);
+    }
+    this.player.sphereBody.collisionFilterGroup = COLLISION_GROUPS.DEFAULT;
+  }
+}
@@ -4,6 +4,8 @@ import { PointerLockControlsCannon } from './js/PointerLockControlsCannon.js';
 import { MobileControlsCannon } from './js/MobileControlsCannon.js';
 import { CharacterManager } from './CharacterManager.js';
 import { PlayerShadow } from './PlayerShadow.js';
+import { SurfaceDust } from './SurfaceDust.js';
+import { PredictionHistory, CorrectionSmoother } from './netcode.js';
 
 
 
@@ -50,6 +52,38 @@ export class Player {
     this.deathY = -40; // Y position threshold for death
     this.respawnPosition = new THREE.Vector3(15, 30, 15); // Same as initial spawn position
 
+    // Surface under the player (see surface-registry.js), updated by checkGroundContact()
+    this.surfaceRegistry = null;
+    this.currentSurface = null;
+    this.groundBody = null;
+    this.dust = null;
+    this.audioManager = null; // Optional AudioManager for surface footstep sounds
+    this.stepDistance = 0; // Distance walked since the last footstep
+    this.feet = new THREE.Vector3(); // Scratch: bottom of the sphere, for the surface effects and craters
+
+    // Hard landings of a scaled-up player dig craters (see WorldManager.deformAt)
+    this.terrain = null; // WorldManager whose terrain gets deformed
+    this.craterMinScale = 3; // About three mushrooms
+    this.craterMinFallSpeed = 15; // A normal jump lands at ~20
+    this.fallSpeed = 0; // Fastest downward speed since leaving the ground
+
+    // Water the player can swim in (see water.js)
+    this.water = null;
+    this.isSwimming = false;
+    this.swimStrokeSpeed = 6; // Upward speed of a swim stroke (jump key in water)
+    this.swimForceFactor = 0.6; // Movement force in water
+
+    // Multiplayer (see netcode.js): recent states by physics tick, so a correction of a
+    // past tick can be applied (kept from enablePrediction() on), and the easing that
+    // hides corrections
+    this.predictionHistory = null;
+    this.correctionSmoother = new CorrectionSmoother();
+
+    // Typing in the chat (see setTyping): movement keys are text, the mouse is free
+    this.typing = false;
+
+    this.onEat = null; // (mushroom) - after eating a mushroom, e.g. for the game mode's score
+
     this.isMobile = false; // Add mobile flag
     this.mobileControls = null; // Add mobile controls reference
     this.joystickAngle = 0; // Store joystick angle
@@ -73,6 +107,7 @@ export class Player {
     this.setupShootingMechanism();
     this.initCharacter();
     this.initShadow(); 
+    this.initDust();
     this.setupKeyboardControls(); // Keyboard controls might still be useful for debugging on mobile with connected keyboard
     
     // Note: initFromPortalData is called separately from startGame in index.html now
@@ -206,6 +241,36 @@ export class Player {
 //});
   }
 
+  initDust() {
+    // Dust puffs for footsteps and landings
+    this.dust = new SurfaceDust(this.scene);
+  }
+
+  // Registry used to look up the surface of the body under the player
+  setSurfaceRegistry(registry) {
+    this.surfaceRegistry = registry;
+  }
+
+  // AudioManager playing the surfaces' footstep sounds
+  setAudioManager(audioManager) {
+    this.audioManager = audioManager;
+  }
+
+  // Terrain to dig craters into on hard landings (a WorldManager)
+  setTerrain(worldManager) {
+    this.terrain = worldManager;
+  }
+
+  // Water to swim in, or null
+  setWater(water) {
+    this.water = water;
+  }
+
+  // Surface descriptor of the ground the player stands on, or null while airborne
+  getCurrentSurface() {
+    return this.currentSurface;
+  }
+
   initShadow() {
     // Create player shadow
     this.shadow = new PlayerShadow(this.scene, this.world);
@@ -239,6 +304,16 @@ export class Player {
     this.controls.addEventListener('unlock', () => {
       console.log("Controls unlocked");
       this.controls.enabled = false;
+      // Released for the chat - keep playing, without the instructions
+      if (this.typing) return;
+      this.enabled = false;
+      this.instructions.style.display = '';
+    });
+
+    // The browser refuses the lock without a user gesture - e.g. taking it back after
+    // the chat was closed with Escape. Wait for a click on the instructions instead
+    this.controls.addEventListener('lockerror', () => {
+      if (this.typing || this.isDead || this.controls.isLocked) return;
       this.enabled = false;
       this.instructions.style.display = '';
     });
@@ -306,8 +381,8 @@ export class Player {
          return; 
       }
       
-      // Ignore gameplay keys if mobile controls are active
-      if (this.isMobile) {
+      // Ignore gameplay keys if mobile controls are active, or while typing in the chat
+      if (this.isMobile || this.typing) {
         return;
       }
 
@@ -335,6 +410,9 @@ export class Player {
             this.jumpStartTime = performance.now();
             this.canJump = false;
             this.spacePressed = true;
+          } else if (this.isSwimming && !this.spacePressed) {
+            this.swimStroke();
+            this.spacePressed = true;
           }
           break;
       }
@@ -443,6 +521,10 @@ checkGroundContact() {
   const rayCount = 5; // Center + 4 directions
   let hitCount = 0;
   
+  // Closest hit body decides the surface we're standing on
+  let groundBody = null;
+  let groundDistance = Infinity;
+  
   // Use the current sphere radius for ray length (plus a small buffer)
   const rayLength = this.sphereShape.radius + 0.3;
   
@@ -493,6 +575,11 @@ checkGroundContact() {
       
       // Otherwise, count the hit
       hitCount++;
+      
+      if (result.distance < groundDistance) {
+        groundDistance = result.distance;
+        groundBody = result.body;
+      }
     }
   }
   
@@ -502,6 +589,14 @@ checkGroundContact() {
   // We're grounded if any ray hit
   this.isGrounded = hitCount > 0;
   
+  // Look up the surface under us
+  this.groundBody = groundBody;
+  if (!this.isGrounded) {
+    this.currentSurface = null;
+  } else if (this.surfaceRegistry) {
+    this.currentSurface = this.surfaceRegistry.getSurfaceForBody(groundBody);
+  }
+  
   // If we just landed, reset jump state
   if (!wasGrounded && this.isGrounded && this.isJumping) {
     this.isJumping = false;
@@ -549,12 +644,21 @@ checkGroundContact() {
     }
 
     // Check ground contact
+    const wasGrounded = this.isGrounded;
     this.checkGroundContact();
+    this.isSwimming = this.water ? this.water.isSwimming(this.sphereBody) : false;
+    this.updateSurfaceEffects(dt, wasGrounded);
+    this.updateLandingImpact(wasGrounded);
 
     // Apply WASD movement forces
     if (this.enabled) {
       this.applyMovementForces();
     }
+
+    if (this.predictionHistory) {
+      this.predictionHistory.record(this.world.stepnumber, this.sphereBody.position, this.sphereBody.velocity);
+      this.correctionSmoother.update(dt);
+    }
     
     // Handle camera following with improved orbit approach
     this.updateCameraOrbit(dt);
@@ -573,6 +677,11 @@ if (this.characterManager) {
   // Create a position vector for the character
   const characterPosition = new THREE.Vector3();
   characterPosition.copy(this.sphereBody.position);
+  // Eases onto the body after a network correction
+  const correctionOffset = this.correctionSmoother.offset;
+  characterPosition.x += correctionOffset[0];
+  characterPosition.y += correctionOffset[1];
+  characterPosition.z += correctionOffset[2];
   
   // Position the character in the center of the physics sphere
   // Remove the negative offset that was previously placing it at the bottom
@@ -586,6 +695,7 @@ if (this.characterManager) {
     {
       isGrounded: this.isGrounded,
       isJumping: this.isJumping,
+      isSwimming: this.isSwimming,
       jumpTime: this.isJumping ? performance.now() - this.jumpStartTime : 0
     },
     lightParams  // Pass the lighting parameters
@@ -608,6 +718,91 @@ if (this.characterManager) {
 
 }
   
+  // Footstep sounds and dust for the current surface
+  updateSurfaceEffects(dt, wasGrounded) {
+    if (this.dust) {
+      this.dust.update(dt);
+    }
+    
+    // No footsteps or dust under water
+    if (!this.isGrounded || !this.currentSurface || this.isSwimming) {
+      this.stepDistance = 0;
+      return;
+    }
+    
+    const scale = this.sphereShape.radius / 0.57;
+    const feet = this.feet.set(
+      this.sphereBody.position.x,
+      this.sphereBody.position.y - this.sphereShape.radius,
+      this.sphereBody.position.z
+    );
+    
+    // Bigger puff when landing
+    if (!wasGrounded) {
+      this.playFootstep(feet, scale, 14);
+      return;
+    }
+    
+    const velocity = this.sphereBody.velocity;
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (speed < 0.5) return;
+    
+    // One step per stride length, stride grows with player size
+    this.stepDistance += speed * dt;
+    const stride = 1.2 * scale;
+    if (this.stepDistance >= stride) {
+      this.stepDistance = 0;
+      this.playFootstep(feet, scale, 5);
+    }
+  }
+
+  // Dig a crater when a scaled-up player lands hard on the terrain
+  updateLandingImpact(wasGrounded) {
+    const velocity = this.sphereBody.velocity;
+    
+    if (!this.isGrounded) {
+      this.fallSpeed = Math.max(this.fallSpeed, -velocity.y);
+      return;
+    }
+    
+    // The landing contact may already have stopped the body, so use the fall speed
+    const impactSpeed = Math.max(this.fallSpeed, -velocity.y);
+    this.fallSpeed = 0;
+    if (wasGrounded || !this.terrain || !this.terrain.isTerrainBody(this.groundBody)) return;
+    
+    const scale = this.sphereShape.radius / 0.57;
+    if (scale < this.craterMinScale || impactSpeed < this.craterMinFallSpeed) return;
+    
+    // Crater grows with the player, deeper for harder landings
+    const radius = this.sphereShape.radius * 1.5;
+    const depth = Math.min(radius * 0.5, radius * 0.2 * impactSpeed / this.craterMinFallSpeed);
+    const feet = this.feet.set(
+      this.sphereBody.position.x,
+      this.sphereBody.position.y - this.sphereShape.radius,
+      this.sphereBody.position.z
+    );
+    
+    if (this.terrain.deformAt(feet, radius, depth)) {
+      console.log(`Landing crater: radius ${radius.toFixed(1)}, depth ${depth.toFixed(2)}`);
+      if (this.dust && this.currentSurface) {
+        this.dust.emit(feet, this.currentSurface.dustColor, 30, scale);
+      }
+    }
+  }
+
+  // Dust puff and footstep sound for the current surface
+  playFootstep(position, scale, particleCount) {
+    const surface = this.currentSurface;
+    
+    if (this.dust) {
+      this.dust.emit(position, surface.dustColor, particleCount, scale);
+    }
+    
+    if (this.audioManager && surface.footstepSound) {
+      this.audioManager.playSoundEffect(surface.footstepSound);
+    }
+  }
+
   // Updated camera orbit method that accounts for both yaw and pitch
   // with collision detection to prevent camera clipping through objects
 // Updated camera orbit method to account for player scale
@@ -888,6 +1083,11 @@ applyMovementForces() {
    if (this.speedMultiplier) {
      forceMagnitude *= this.speedMultiplier;
    }
+
+   // Surface modifier (e.g. sand is slower to run on)
+   if (this.isGrounded && this.currentSurface) {
+     forceMagnitude *= this.currentSurface.movementForceMultiplier;
+   }
    
    // Calculate current horizontal speed
    const currentVelocity = new THREE.Vector3(
@@ -909,6 +1109,11 @@ applyMovementForces() {
    // Apply scaling to the force magnitude
    forceMagnitude *= forceScaling;
    
+   // Swimming is slower than running
+   if (this.isSwimming) {
+     forceMagnitude *= this.swimForceFactor;
+   }
+   
    // Mid-air control adjustment
    if (!this.isGrounded) {
      // Mid-air control factor (0.0 = no control, 1.0 = full control)
@@ -1028,6 +1233,12 @@ checkMushroomCollisions(gameObjects) {
     
     // If the distance is less than the sum of radii, collision occurred
     if (distance < (playerRadius + mushroomRadius)) {
+      // Shared mushrooms are the room's to hand out - it answers with who got it
+      if (gameObjects.sharedMushrooms) {
+        gameObjects.requestMushroom(mushroom);
+        continue;
+      }
+
       // Add this mushroom to removal list
       mushroomsToRemove.push(mushroom.id);
       
@@ -1050,6 +1261,8 @@ onMushroomEaten(mushroom) {
   
   // Scale the player by 1.5x when a mushroom is eaten
   this.scalePlayer(1.5);
+
+  if (this.onEat) this.onEat(mushroom);
 }
 
 
@@ -1072,6 +1285,7 @@ scalePlayer(scaleFactor) {
   
   // Update the sphere shape's radius
   this.sphereShape.radius = newRadius;
+  this.sphereShape.updateBoundingSphereRadius();
   this.sphereBody.updateBoundingRadius();
   
   // Scale visual character if it exists
@@ -1243,6 +1457,24 @@ respawn() {
   }, 100);
 }
 
+// Start or stop typing in the chat. On desktop the pointer is released so the mouse can
+// reach the chat box, and taken back afterwards (if the browser refuses, the 'lockerror'
+// handler in initPointerLock() shows the instructions); the keys held down are let go
+setTyping(typing) {
+  if (this.typing === typing) return;
+  this.typing = typing;
+
+  if (typing) {
+    this.moveForward = this.moveBackward = this.moveLeft = this.moveRight = false;
+    this.spacePressed = false;
+    if (this.controls && this.controls.isLocked) {
+      this.controls.unlock();
+    }
+  } else if (this.controls && this.enabled && !this.isDead) {
+    this.controls.lock();
+  }
+}
+
 // Method to explicitly enable/disable player controls/activity
 setEnabled(enabled) {
   this.enabled = enabled;
@@ -1262,6 +1494,55 @@ triggerJump() {
       this.isJumping = true;
       this.jumpStartTime = performance.now();
       this.canJump = false;
+  } else if (this.isSwimming) {
+      this.swimStroke();
   }
 }
+
+// Push up towards the surface while swimming
+swimStroke() {
+  this.sphereBody.velocity.y = Math.max(this.sphereBody.velocity.y, this.swimStrokeSpeed);
+}
+
+// Start keeping the prediction history, once in a room whose server can correct us
+enablePrediction() {
+  if (!this.predictionHistory) {
+    this.predictionHistory = new PredictionHistory();
+  }
+}
+
+// Correct the player's state at an earlier physics tick (position and velocity arrays),
+// from whoever has authority over it. Returns false when the tick is too old
+applyCorrection(tick, position, velocity) {
+  if (!this.predictionHistory) return false;
+  const error = this.predictionHistory.reconcile(tick, position, velocity);
+  if (!error) return false;
+
+  this.sphereBody.position.x += error.p[0];
+  this.sphereBody.position.y += error.p[1];
+  this.sphereBody.position.z += error.p[2];
+  this.sphereBody.velocity.x += error.v[0];
+  this.sphereBody.velocity.y += error.v[1];
+  this.sphereBody.velocity.z += error.v[2];
+  this.correctionSmoother.add(error.p);
+  return true;
+}
+
+// State sent to the other players in a multiplayer room (see network.js), stamped
+// with the physics tick it is from (see netcode.js)
+getNetworkState() {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const position = this.sphereBody.position;
+  const velocity = this.sphereBody.velocity;
+  const character = this.characterManager ? this.characterManager.character : null;
+
+  return {
+    t: this.world.stepnumber,
+    p: [round(position.x), round(position.y), round(position.z)],
+    v: [round(velocity.x), round(velocity.y), round(velocity.z)],
+    yaw: character ? round(character.rotation.y) : 0,
+    scale: round(this.sphereShape.radius / 0.57),
+    anim: this.characterManager ? this.characterManager.currentAnimation : 'stand'
+  };
+}
 }
\ No newline at end of file
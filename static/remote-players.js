@@ -0,0 +1,202 @@
+// remote-players.js
+// The other players in a multiplayer room (see network.js), each drawn with its own
+// CharacterManager. States from the network go through a SnapshotBuffer (netcode.js) and
+// are played back slightly delayed and interpolated: position, facing, growth and the
+// animation the other client is playing.
+
+import * as THREE from '/static/three.module.min.js';
+import { CharacterManager } from './CharacterManager.js';
+import { SnapshotBuffer } from './netcode.js';
+
+export class RemotePlayer {
+  // info: { id, name, color, state } from the room
+  // bufferOptions: SnapshotBuffer options (interpolation delay, extrapolation cap)
+  constructor(scene, info, bufferOptions = {}) {
+    this.id = info.id;
+    this.name = info.name;
+    this.color = '#' + info.color;
+    this.scale = 1;
+    this.animation = 'stand';
+    this.jumpStartTime = 0;
+
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.direction = new THREE.Vector3(0, 0, 1);
+    this.hasState = false;
+    this.snapshots = new SnapshotBuffer(bufferOptions);
+
+    this.characterManager = new CharacterManager(scene);
+    const colors = this.characterManager.params.colors;
+    colors.head = colors.torso = colors.arms = colors.legs = this.color;
+    this.characterManager.init();
+    this.characterManager.character.visible = false; // Until the first state
+
+    if (info.state) {
+      this.setState(info.state);
+    }
+  }
+
+  // Queue a received state: { t, p, v, yaw, scale, anim } (see Player.getNetworkState)
+  setState(state) {
+    this.snapshots.push(state, performance.now() / 1000);
+  }
+
+  // Show the buffered state for this moment
+  applyState(state) {
+    this.position.fromArray(state.p);
+    this.velocity.fromArray(state.v);
+    // CharacterManager turns the character to face atan2(x, z) of the direction
+    this.direction.set(Math.sin(state.yaw), 0, Math.cos(state.yaw));
+
+    if (state.anim === 'jump' && this.animation !== 'jump') {
+      this.jumpStartTime = performance.now();
+    }
+    this.animation = state.anim;
+
+    if (state.scale !== this.scale) {
+      this.scale = state.scale;
+      this.characterManager.animationController.setScaleFactor(this.scale);
+    }
+
+    if (!this.hasState) {
+      this.hasState = true;
+      this.characterManager.character.visible = true;
+      this.characterManager.character.rotation.y = state.yaw;
+    }
+  }
+
+  update(dt, lightParams = null) {
+    const state = this.snapshots.sample(performance.now() / 1000);
+    if (!state) return;
+    this.applyState(state);
+
+    const isJumping = this.animation === 'jump';
+    this.direction.isMoving = this.animation === 'run';
+    this.characterManager.update(dt, this.position, this.velocity, this.direction, {
+      isGrounded: !isJumping,
+      isJumping: isJumping,
+      isSwimming: this.animation === 'swim',
+      jumpTime: isJumping ? performance.now() - this.jumpStartTime : 0
+    }, lightParams);
+  }
+
+  dispose() {
+    this.characterManager.dispose();
+  }
+}
+
+export class RemotePlayers {
+  // bufferOptions: SnapshotBuffer options for every remote player
+  constructor(scene, bufferOptions = {}) {
+    this.scene = scene;
+    this.bufferOptions = bufferOptions;
+    this.players = new Map(); // id -> RemotePlayer
+    this.environmentMap = null;
+    this.collisions = null; // PlayerCollisions giving the remote players bodies
+    this.nameTags = null; // NameTags showing who is who
+  }
+
+  // Put every remote player's name above their character (see name-tags.js)
+  setNameTags(nameTags) {
+    this.nameTags = nameTags;
+    for (const player of this.players.values()) {
+      nameTags.add(player.characterManager, player.name, { color: player.color });
+    }
+  }
+
+  // Give every remote player a physics proxy (see player-collisions.js)
+  setCollisions(collisions) {
+    this.collisions = collisions;
+    for (const id of this.players.keys()) {
+      collisions.addProxy(id);
+    }
+  }
+
+  // Hook up a NetworkClient's callbacks
+  attach(network) {
+    network.onWelcome = (players) => {
+      this.clear();
+      players.forEach(info => this.add(info));
+    };
+    network.onPlayerJoin = (info) => this.add(info);
+    network.onPlayerState = (id, state) => this.setState(id, state);
+    network.onPlayerLeave = (id) => this.remove(id);
+  }
+
+  add(info) {
+    this.remove(info.id);
+    const player = new RemotePlayer(this.scene, info, this.bufferOptions);
+    if (this.environmentMap) {
+      player.characterManager.setEnvironmentMap(this.environmentMap);
+    }
+    this.players.set(info.id, player);
+    if (this.collisions) {
+      this.collisions.addProxy(info.id);
+    }
+    if (this.nameTags) {
+      this.nameTags.add(player.characterManager, player.name, { color: player.color });
+    }
+    console.log(`Player ${info.name} (${info.id}) joined`);
+    return player;
+  }
+
+  remove(id) {
+    const player = this.players.get(id);
+    if (!player) return;
+
+    if (this.nameTags) {
+      this.nameTags.remove(player.characterManager);
+    }
+    player.dispose();
+    this.players.delete(id);
+    if (this.collisions) {
+      this.collisions.removeProxy(id);
+    }
+    console.log(`Player ${player.name} (${id}) left`);
+  }
+
+  setState(id, state) {
+    const player = this.players.get(id);
+    if (player) {
+      player.setState(state);
+    }
+  }
+
+  // Animate every remote character and move its physics proxy - call every frame
+  update(dt, lightParams = null) {
+    for (const player of this.players.values()) {
+      player.update(dt, lightParams);
+      if (this.collisions && player.hasState) {
+        this.collisions.updateProxy(player.id, player.position, player.velocity, player.scale);
+      }
+    }
+  }
+
+  // Debug panel text: playback delay and how many players are extrapolated right now
+  getStatus() {
+    if (this.players.size === 0) return 'no other players';
+
+    let delay = 0;
+    let extrapolating = 0;
+    for (const player of this.players.values()) {
+      delay = Math.max(delay, player.snapshots.getDelay());
+      if (player.snapshots.extrapolating) extrapolating++;
+    }
+    return `${this.players.size} players, ${Math.round(delay * 1000)} ms behind` +
+      (extrapolating ? `, ${extrapolating} extrapolated` : '');
+  }
+
+  // Reflect the sky on the remote characters too (WorldManager.onEnvironmentChange)
+  setEnvironmentMap(envMap) {
+    this.environmentMap = envMap;
+    for (const player of this.players.values()) {
+      player.characterManager.setEnvironmentMap(envMap);
+    }
+  }
+
+  clear() {
+    for (const id of [...this.players.keys()]) {
+      this.remove(id);
+    }
+  }
+}
@@ -0,0 +1,316 @@
+// render-pipeline.js
+// Post-processing for the main view. The scene is rendered into a render target, then
+// full screen passes add selective bloom (objects on BLOOM_LAYER glow: the sun, portal
+// rings), a vignette and color grading, with FXAA as a cheaper alternative to MSAA.
+// With post-processing off, render() draws straight to the screen as before.
+
+import * as THREE from '/static/three.module.min.js';
+
+// Objects that should glow enable this layer (object.layers.enable(BLOOM_LAYER))
+export const BLOOM_LAYER = 1;
+
+// Shared vertex shader of the full screen passes
+const FULLSCREEN_VERTEX = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+export class RenderPipeline {
+  // options: enabled, fxaa, samples (MSAA samples of the scene target),
+  //          bloomStrength, bloomRadius, vignette, exposure, contrast, saturation
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.fxaa = options.fxaa || false;
+    this.samples = options.samples || 0;
+
+    // Scene color in linear HDR, then half resolution bloom targets
+    this.sceneTarget = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      samples: this.samples
+    });
+    this.bloomTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    this.blurTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    this.compositeTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+
+    // Stand-in for everything that doesn't glow in the bloom render: black, so it
+    // still hides glowing objects behind it
+    this.occluderMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, fog: false });
+    this.bloomLayers = new THREE.Layers();
+    this.bloomLayers.set(BLOOM_LAYER);
+    this.hiddenObjects = [];
+    this.swappedMaterials = new Map();
+
+    this.blurPass = new FullScreenPass({
+      uniforms: {
+        source: { value: null },
+        direction: { value: new THREE.Vector2() },
+        radius: { value: options.bloomRadius || 1.5 }
+      },
+      fragmentShader: `
+        uniform sampler2D source;
+        uniform vec2 direction;
+        uniform float radius;
+        varying vec2 vUv;
+
+        void main() {
+          // 9 tap gaussian along direction (one texel, scaled by radius)
+          vec2 offset = direction * radius;
+          vec4 color = texture2D(source, vUv) * 0.2270270270;
+          color += texture2D(source, vUv + offset * 1.3846153846) * 0.3162162162;
+          color += texture2D(source, vUv - offset * 1.3846153846) * 0.3162162162;
+          color += texture2D(source, vUv + offset * 3.2307692308) * 0.0702702703;
+          color += texture2D(source, vUv - offset * 3.2307692308) * 0.0702702703;
+          gl_FragColor = color;
+        }
+      `
+    });
+
+    this.compositePass = new FullScreenPass({
+      uniforms: {
+        sceneColor: { value: this.sceneTarget.texture },
+        bloomColor: { value: this.bloomTarget.texture },
+        bloomStrength: { value: options.bloomStrength !== undefined ? options.bloomStrength : 1.2 },
+        vignette: { value: options.vignette !== undefined ? options.vignette : 0.35 },
+        exposure: { value: options.exposure || 1.0 },
+        contrast: { value: options.contrast || 1.05 },
+        saturation: { value: options.saturation || 1.1 }
+      },
+      fragmentShader: `
+        uniform sampler2D sceneColor;
+        uniform sampler2D bloomColor;
+        uniform float bloomStrength;
+        uniform float vignette;
+        uniform float exposure;
+        uniform float contrast;
+        uniform float saturation;
+        varying vec2 vUv;
+
+        void main() {
+          vec3 color = texture2D(sceneColor, vUv).rgb;
+          color += texture2D(bloomColor, vUv).rgb * bloomStrength;
+
+          // Color grading around middle grey, in linear space
+          color *= exposure;
+          float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+          color = mix(vec3(luminance), color, saturation);
+          color = max(vec3(0.0), (color - 0.18) * contrast + 0.18);
+
+          // Darken towards the corners
+          vec2 fromCenter = vUv - 0.5;
+          color *= 1.0 - vignette * smoothstep(0.2, 0.8, dot(fromCenter, fromCenter) * 2.0);
+
+          gl_FragColor = vec4(color, 1.0);
+          #include <colorspace_fragment>
+        }
+      `
+    });
+
+    this.fxaaPass = new FullScreenPass({
+      uniforms: {
+        source: { value: this.compositeTarget.texture },
+        texelSize: { value: new THREE.Vector2() }
+      },
+      fragmentShader: `
+        uniform sampler2D source;
+        uniform vec2 texelSize;
+        varying vec2 vUv;
+
+        float luma(vec3 color) {
+          return dot(sqrt(max(color, 0.0)), vec3(0.299, 0.587, 0.114));
+        }
+
+        void main() {
+          // FXAA 3.11 style edge search, reduced to one blur along the edge
+          vec3 center = texture2D(source, vUv).rgb;
+          float lumaNW = luma(texture2D(source, vUv + vec2(-1.0, -1.0) * texelSize).rgb);
+          float lumaNE = luma(texture2D(source, vUv + vec2(1.0, -1.0) * texelSize).rgb);
+          float lumaSW = luma(texture2D(source, vUv + vec2(-1.0, 1.0) * texelSize).rgb);
+          float lumaSE = luma(texture2D(source, vUv + vec2(1.0, 1.0) * texelSize).rgb);
+          float lumaM = luma(center);
+          float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+          float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+          vec2 direction = vec2(
+            -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+            (lumaNW + lumaSW) - (lumaNE + lumaSE)
+          );
+          float reduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.03125, 1.0 / 128.0);
+          float scale = 1.0 / (min(abs(direction.x), abs(direction.y)) + reduce);
+          direction = clamp(direction * scale, vec2(-8.0), vec2(8.0)) * texelSize;
+
+          vec3 colorA = 0.5 * (
+            texture2D(source, vUv + direction * (1.0 / 3.0 - 0.5)).rgb +
+            texture2D(source, vUv + direction * (2.0 / 3.0 - 0.5)).rgb);
+          vec3 colorB = colorA * 0.5 + 0.25 * (
+            texture2D(source, vUv - direction * 0.5).rgb +
+            texture2D(source, vUv + direction * 0.5).rgb);
+          float lumaB = luma(colorB);
+
+          gl_FragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? colorA : colorB, 1.0);
+          #include <colorspace_fragment>
+        }
+      `
+    });
+
+    this.setSize();
+  }
+
+  // Change settings at runtime (e.g. from a graphics preset): enabled, fxaa, samples
+  configure(options) {
+    if (options.enabled !== undefined) this.enabled = options.enabled;
+    if (options.fxaa !== undefined) this.fxaa = options.fxaa;
+    if (options.samples !== undefined && options.samples !== this.samples) {
+      this.samples = options.samples;
+      this.sceneTarget.samples = this.samples;
+      this.sceneTarget.dispose(); // Reallocated with the new sample count on next use
+    }
+  }
+
+  // Match the render targets to the renderer's drawing buffer - call after resizing
+  // the renderer or changing its pixel ratio
+  setSize() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const width = Math.max(1, size.x);
+    const height = Math.max(1, size.y);
+    const bloomWidth = Math.max(1, Math.floor(width / 2));
+    const bloomHeight = Math.max(1, Math.floor(height / 2));
+
+    this.sceneTarget.setSize(width, height);
+    this.compositeTarget.setSize(width, height);
+    this.bloomTarget.setSize(bloomWidth, bloomHeight);
+    this.blurTarget.setSize(bloomWidth, bloomHeight);
+    this.fxaaPass.uniforms.texelSize.value.set(1 / width, 1 / height);
+    this.bloomTexelSize = new THREE.Vector2(1 / bloomWidth, 1 / bloomHeight);
+  }
+
+  // Draw a frame
+  render() {
+    if (!this.enabled) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+
+    renderer.setRenderTarget(this.sceneTarget);
+    renderer.render(this.scene, this.camera);
+
+    this.renderBloom();
+
+    if (this.fxaa) {
+      this.compositePass.render(renderer, this.compositeTarget);
+      this.fxaaPass.render(renderer, previousTarget);
+    } else {
+      this.compositePass.render(renderer, previousTarget);
+    }
+  }
+
+  // Render only the glowing objects into bloomTarget and blur them
+  renderBloom() {
+    const renderer = this.renderer;
+    const background = this.scene.background;
+    const fog = this.scene.fog;
+    this.scene.background = null;
+    this.scene.fog = null;
+
+    this.scene.traverseVisible(object => this.darkenNonBloom(object));
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 1);
+    // Shadow maps are up to date from the scene render
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    renderer.shadowMap.autoUpdate = false;
+
+    renderer.setRenderTarget(this.bloomTarget);
+    renderer.render(this.scene, this.camera);
+
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    renderer.setClearColor(clearColor, clearAlpha);
+    this.restoreNonBloom();
+    this.scene.background = background;
+    this.scene.fog = fog;
+
+    // Two rounds of horizontal + vertical blur, the second one wider
+    const blur = this.blurPass.uniforms;
+    for (const spread of [1, 2]) {
+      blur.source.value = this.bloomTarget.texture;
+      blur.direction.value.set(this.bloomTexelSize.x * spread, 0);
+      this.blurPass.render(renderer, this.blurTarget);
+
+      blur.source.value = this.blurTarget.texture;
+      blur.direction.value.set(0, this.bloomTexelSize.y * spread);
+      this.blurPass.render(renderer, this.bloomTarget);
+    }
+  }
+
+  // Meshes that don't glow turn black, other drawables are hidden for the bloom render
+  darkenNonBloom(object) {
+    if (!object.material || object.layers.test(this.bloomLayers)) return;
+
+    if (object.isMesh) {
+      this.swappedMaterials.set(object, object.material);
+      object.material = this.occluderMaterial;
+    } else {
+      object.visible = false;
+      this.hiddenObjects.push(object);
+    }
+  }
+
+  restoreNonBloom() {
+    for (const [object, material] of this.swappedMaterials) {
+      object.material = material;
+    }
+    for (const object of this.hiddenObjects) {
+      object.visible = true;
+    }
+    this.swappedMaterials.clear();
+    this.hiddenObjects = [];
+  }
+
+  dispose() {
+    this.sceneTarget.dispose();
+    this.bloomTarget.dispose();
+    this.blurTarget.dispose();
+    this.compositeTarget.dispose();
+    this.occluderMaterial.dispose();
+    this.blurPass.dispose();
+    this.compositePass.dispose();
+    this.fxaaPass.dispose();
+  }
+}
+
+// One shader over the whole target
+class FullScreenPass {
+  constructor({ uniforms, fragmentShader }) {
+    this.uniforms = uniforms;
+    this.material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: FULLSCREEN_VERTEX,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.mesh.frustumCulled = false;
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  // target: render target, or null for the screen
+  render(renderer, target) {
+    renderer.setRenderTarget(target);
+    renderer.render(this.mesh, this.camera);
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
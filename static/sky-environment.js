@@ -0,0 +1,232 @@
+// sky-environment.js
+// Sky and image based lighting. The sky is either procedural - a dome shaded from the
+// current sky/fog color (so it follows DayNightCycle and the weather) with a glow
+// around the sun - or an equirectangular image. Either one is turned into a PMREM
+// environment map, set as scene.environment for standard materials and handed to
+// listeners (e.g. CharacterBuilder's head shader). The procedural one is regenerated
+// when the sky has changed noticeably.
+
+import * as THREE from '/static/three.module.min.js';
+
+// Defines three.js' cube_uv_reflection_fragment chunk needs to sample a PMREM texture
+// (textureCubeUV) in a ShaderMaterial; same values WebGLPrograms uses for envMaps
+export function getCubeUVDefines(envMap) {
+  const imageHeight = envMap.image.height;
+  const maxMip = Math.log2(imageHeight) - 2;
+  return {
+    ENVMAP_TYPE_CUBE_UV: '',
+    CUBEUV_TEXEL_WIDTH: 1 / (3 * Math.max(Math.pow(2, maxMip), 7 * 16)),
+    CUBEUV_TEXEL_HEIGHT: 1 / imageHeight,
+    CUBEUV_MAX_MIP: maxMip.toFixed(1)
+  };
+}
+
+const SKY_VERTEX = `
+  varying vec3 vDirection;
+
+  void main() {
+    vDirection = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const SKY_FRAGMENT = `
+  uniform vec3 zenithColor;
+  uniform vec3 horizonColor;
+  uniform vec3 groundColor;
+  uniform vec3 sunColor;
+  uniform vec3 sunDirection;
+  uniform float sunGlow;
+  varying vec3 vDirection;
+
+  void main() {
+    vec3 direction = normalize(vDirection);
+    float height = direction.y;
+
+    vec3 color = mix(horizonColor, zenithColor, pow(max(height, 0.0), 0.6));
+    color = mix(color, groundColor, smoothstep(0.0, -0.2, height));
+
+    // Wide haze and a tighter halo around the sun
+    float sun = max(dot(direction, sunDirection), 0.0);
+    color += sunColor * (pow(sun, 8.0) * 0.2 + pow(sun, 96.0) * 0.6) * sunGlow;
+
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+export class SkyEnvironment {
+  // source: 'procedural' or the URL of an equirectangular image
+  // lights: { sunLight, dayNight } - the sun glow follows them (procedural sky only)
+  constructor(renderer, scene, source = 'procedural', lights = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.source = source;
+    this.sunLight = lights.sunLight || null;
+    this.dayNight = lights.dayNight || null;
+
+    this.pmrem = new THREE.PMREMGenerator(renderer);
+    this.environmentTarget = null;
+    this.listeners = [];
+
+    // Procedural sky: regenerate the environment at most this often, and only when
+    // the sky color or sun moved more than the thresholds
+    this.regenerateInterval = 1;
+    this.colorThreshold = 0.02;
+    this.sunThreshold = 0.02;
+    this.sinceRegenerate = 0;
+    this.lastColor = new THREE.Color(-1, -1, -1);
+    this.lastSunDirection = new THREE.Vector3();
+
+    this.dome = null;
+    this.equirectTexture = null;
+
+    if (source === 'procedural') {
+      this.createDome();
+    } else {
+      this.loadEquirect(source);
+    }
+  }
+
+  createDome() {
+    this.uniforms = {
+      zenithColor: { value: new THREE.Color() },
+      horizonColor: { value: new THREE.Color() },
+      groundColor: { value: new THREE.Color() },
+      sunColor: { value: new THREE.Color() },
+      sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+      sunGlow: { value: 0 }
+    };
+    this.domeMaterial = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: SKY_VERTEX,
+      fragmentShader: SKY_FRAGMENT,
+      side: THREE.BackSide,
+      depthWrite: false,
+      fog: false
+    });
+
+    // Inside the camera's far plane, following the camera so it looks infinitely far
+    this.dome = new THREE.Mesh(new THREE.SphereGeometry(900, 32, 16), this.domeMaterial);
+    this.dome.renderOrder = -1;
+    this.dome.frustumCulled = false;
+    this.scene.add(this.dome);
+
+    // Scene the environment map is rendered from: the same sky, nothing else
+    this.environmentScene = new THREE.Scene();
+    this.environmentScene.add(new THREE.Mesh(new THREE.SphereGeometry(50, 32, 16), this.domeMaterial));
+  }
+
+  loadEquirect(url) {
+    new THREE.TextureLoader().load(url, (texture) => {
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      this.equirectTexture = texture;
+
+      // DayNightCycle only recolors Color backgrounds, so the image stays
+      this.scene.background = texture;
+      this.setEnvironment(this.pmrem.fromEquirectangular(texture));
+      console.log("Sky loaded from", url);
+    }, undefined, (error) => {
+      console.warn("Could not load sky image, keeping the flat sky:", url, error);
+    });
+  }
+
+  // Follow the camera and the time of day - call every frame after DayNightCycle
+  update(dt, camera) {
+    if (!this.dome) return;
+
+    if (camera) {
+      camera.getWorldPosition(this.dome.position);
+    }
+
+    // Shades of the current sky color (set on the fog and background by DayNightCycle)
+    const sky = this.scene.fog ? this.scene.fog.color :
+      (this.scene.background && this.scene.background.isColor ? this.scene.background : null);
+    if (sky) {
+      this.uniforms.horizonColor.value.copy(sky);
+      this.uniforms.zenithColor.value.copy(sky).multiplyScalar(0.65);
+      this.uniforms.groundColor.value.copy(sky).multiplyScalar(0.45);
+    }
+
+    // The light follows the moon at night, so no glow then
+    if (this.sunLight) {
+      const night = this.dayNight ? this.dayNight.isNight() : false;
+      this.uniforms.sunDirection.value.copy(this.sunLight.position).normalize();
+      this.uniforms.sunColor.value.copy(this.sunLight.color);
+      this.uniforms.sunGlow.value = night ? 0 : Math.min(1, this.sunLight.intensity / 2.5);
+    }
+
+    this.sinceRegenerate += dt;
+    if (!this.environmentTarget || this.sinceRegenerate >= this.regenerateInterval) {
+      this.regenerateIfChanged();
+    }
+  }
+
+  regenerateIfChanged() {
+    const color = this.uniforms.horizonColor.value;
+    const sunDirection = this.uniforms.sunDirection.value;
+    const colorChange = Math.abs(color.r - this.lastColor.r) + Math.abs(color.g - this.lastColor.g) +
+      Math.abs(color.b - this.lastColor.b);
+    if (this.environmentTarget && colorChange < this.colorThreshold &&
+        sunDirection.distanceTo(this.lastSunDirection) < this.sunThreshold) {
+      return;
+    }
+
+    this.lastColor.copy(color);
+    this.lastSunDirection.copy(sunDirection);
+    this.sinceRegenerate = 0;
+    this.setEnvironment(this.pmrem.fromScene(this.environmentScene, 0, 0.1, 100));
+  }
+
+  // Swap in a new PMREM render target and tell the listeners
+  setEnvironment(target) {
+    const previous = this.environmentTarget;
+    this.environmentTarget = target;
+    this.scene.environment = target.texture;
+
+    for (const listener of this.listeners) {
+      listener(target.texture);
+    }
+    if (previous) previous.dispose();
+  }
+
+  // PMREM environment map texture, or null until the sky is ready
+  getEnvironmentMap() {
+    return this.environmentTarget ? this.environmentTarget.texture : null;
+  }
+
+  // Call listener(envMap) now (if there is one) and whenever the map is regenerated
+  addListener(listener) {
+    this.listeners.push(listener);
+    const envMap = this.getEnvironmentMap();
+    if (envMap) listener(envMap);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(other => other !== listener);
+  }
+
+  dispose() {
+    if (this.dome) {
+      this.scene.remove(this.dome);
+      this.dome.geometry.dispose();
+      this.environmentScene.children[0].geometry.dispose();
+      this.domeMaterial.dispose();
+    }
+    if (this.equirectTexture) {
+      if (this.scene.background === this.equirectTexture) {
+        this.scene.background = new THREE.Color(0x87CEEB);
+      }
+      this.equirectTexture.dispose();
+    }
+    if (this.environmentTarget) {
+      if (this.scene.environment === this.environmentTarget.texture) {
+        this.scene.environment = null;
+      }
+      this.environmentTarget.dispose();
+    }
+    this.pmrem.dispose();
+    this.listeners = [];
+  }
+}
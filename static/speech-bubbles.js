@@ -0,0 +1,116 @@
+// speech-bubbles.js
+// Chat text floating above a character for a few seconds: a rounded bubble wrapped to a
+// few lines, its tail pointing down at the character, that fades out at the end.
+
+import { CanvasSprite } from './canvas-sprite.js';
+
+const CANVAS_WIDTH = 512;
+const LINE_HEIGHT = 44;
+const PADDING = 24;
+const TAIL_HEIGHT = 28;
+const MAX_LINES = 4;
+const CANVAS_HEIGHT = MAX_LINES * LINE_HEIGHT + PADDING * 2 + TAIL_HEIGHT; // Fits the longest bubble
+const WORLD_WIDTH = 4; // Room for a few words per line
+
+export class SpeechBubble extends CanvasSprite {
+  // options: height (above the character's origin, in character units), fadeTime (s)
+  constructor(character, options = {}) {
+    super(CANVAS_WIDTH, CANVAS_HEIGHT, {
+      worldWidth: WORLD_WIDTH,
+      height: options.height !== undefined ? options.height : 1.6 // Above the name tag
+    });
+    this.fadeTime = options.fadeTime || 0.5;
+
+    this.sprite.visible = false;
+    this.sprite.renderOrder = 10; // Over the other transparent things around it
+    this.setCharacter(character);
+
+    this.timeLeft = 0;
+  }
+
+  // Break text into lines that fit the bubble, cutting it off after MAX_LINES
+  wrapText(text) {
+    const context = this.context;
+    const maxWidth = CANVAS_WIDTH - PADDING * 2;
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (context.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      // Words wider than the bubble are broken up anywhere
+      line = '';
+      for (const character of word) {
+        if (line && context.measureText(line + character).width > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += character;
+      }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > MAX_LINES) {
+      lines.length = MAX_LINES;
+      lines[MAX_LINES - 1] += '...';
+    }
+    return lines;
+  }
+
+  // Show text for duration seconds (default: longer for longer text)
+  show(text, duration) {
+    const context = this.context;
+    context.font = 'bold 32px sans-serif';
+    const lines = this.wrapText(text);
+
+    const width = Math.min(CANVAS_WIDTH,
+      Math.max(...lines.map(l => context.measureText(l).width)) + PADDING * 2);
+    const left = (CANVAS_WIDTH - width) / 2;
+
+    // Rounded box sitting on its tail, whose tip is the bottom of the canvas
+    const bubbleHeight = lines.length * LINE_HEIGHT + PADDING * 2;
+    const bottom = CANVAS_HEIGHT - TAIL_HEIGHT;
+    const top = bottom - bubbleHeight;
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.beginPath();
+    context.roundRect(left, top, width, bubbleHeight, 24);
+    context.moveTo(CANVAS_WIDTH / 2 - TAIL_HEIGHT / 2, bottom);
+    context.lineTo(CANVAS_WIDTH / 2, CANVAS_HEIGHT);
+    context.lineTo(CANVAS_WIDTH / 2 + TAIL_HEIGHT / 2, bottom);
+    context.fill();
+
+    context.fillStyle = '#222222';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      context.fillText(line, CANVAS_WIDTH / 2, top + PADDING + (i + 0.5) * LINE_HEIGHT);
+    });
+    this.refresh();
+
+    this.timeLeft = duration !== undefined ? duration : Math.min(3 + text.length * 0.06, 10);
+    this.setOpacity(1);
+  }
+
+  hide() {
+    this.timeLeft = 0;
+    this.sprite.visible = false;
+  }
+
+  // Count down and fade out - call every frame
+  update(dt) {
+    if (!this.sprite.visible) return;
+
+    this.timeLeft -= dt;
+    if (this.timeLeft <= 0) {
+      this.hide();
+      return;
+    }
+    this.setOpacity(Math.min(this.timeLeft / this.fadeTime, 1));
+  }
+}
@@ -0,0 +1,98 @@
+// surface-registry.js
+// Maps terrain bodies and CANNON materials to surface descriptors, so gameplay code
+// (movement, footsteps, dust particles) can ask what the player is standing on.
+// WorldManager registers the terrain materials and builds the player/terrain contact
+// materials from the same descriptors.
+
+// Surface descriptor fields:
+//   name                     - surface id
+//   friction, restitution    - player contact parameters
+//   footstepSound            - AudioManager sound effect name, from assets/sounds/<name>.mp3
+//   dustColor                - color of the dust kicked up by footsteps
+//   movementForceMultiplier  - scales the player's ground movement force
+export const DEFAULT_SURFACES = {
+  default: {
+    name: 'default',
+    friction: 0.5,
+    restitution: 0,
+    footstepSound: 'footstep_default',
+    dustColor: 0xBBBBBB,
+    movementForceMultiplier: 1.0
+  },
+  grass: {
+    name: 'grass',
+    friction: 0.5,
+    restitution: 0,
+    footstepSound: 'footstep_grass',
+    dustColor: 0x7A9A4A,
+    movementForceMultiplier: 1.0
+  },
+  sand: {
+    name: 'sand',
+    friction: 0.1, // Slippery pit walls
+    restitution: 0,
+    footstepSound: 'footstep_sand',
+    dustColor: 0xE6C78F,
+    movementForceMultiplier: 0.85
+  },
+  rock: {
+    name: 'rock',
+    friction: 0.5,
+    restitution: 0,
+    footstepSound: 'footstep_rock',
+    dustColor: 0x9C8A6A,
+    movementForceMultiplier: 1.0
+  }
+};
+
+export class SurfaceRegistry {
+  constructor(surfaces = DEFAULT_SURFACES) {
+    this.surfaces = new Map();
+    this.materialSurfaces = new Map();
+    this.bodySurfaces = new WeakMap();
+
+    for (const [name, descriptor] of Object.entries(surfaces)) {
+      this.register(name, descriptor);
+    }
+  }
+
+  // Add or replace a surface descriptor (missing fields come from 'default')
+  register(name, descriptor) {
+    const base = this.surfaces.get('default') || DEFAULT_SURFACES.default;
+    const surface = { ...base, ...descriptor, name };
+    this.surfaces.set(name, surface);
+    return surface;
+  }
+
+  // Get a surface descriptor by name (falls back to 'default')
+  get(name) {
+    return this.surfaces.get(name) || this.surfaces.get('default');
+  }
+
+  // Every body using this CANNON material reports this surface
+  registerMaterial(material, name) {
+    this.materialSurfaces.set(material, name);
+  }
+
+  // Per-body override, takes precedence over the body's material
+  registerBody(body, name) {
+    this.bodySurfaces.set(body, name);
+  }
+
+  // Every footstep sound effect name the surfaces use, once each (for loading them)
+  getFootstepSounds() {
+    const names = new Set();
+    for (const surface of this.surfaces.values()) {
+      if (surface.footstepSound) names.add(surface.footstepSound);
+    }
+    return [...names];
+  }
+
+  // Surface descriptor for a body, e.g. the body hit by a ground raycast
+  getSurfaceForBody(body) {
+    if (!body) return this.get('default');
+
+    const name = this.bodySurfaces.get(body) || this.materialSurfaces.get(body.material);
+    return this.get(name);
+  }
+}
@@ -0,0 +1,255 @@
+// terrain-chunks.js
+// Streams a tiled terrain around the pit map. Chunks are addressed by (cx, cz) and
+// cover one terrain-size square each; chunk (0, 0) is the map loaded by
+// WorldManager.loadTerrain() and is never streamed. Every other chunk gets a THREE
+// mesh and a CANNON.Heightfield body generated from the same TerrainGenerator
+// parameters, and both are removed again once the player moves away.
+
+import * as CANNON from '/dist/cannon-es.js';
+import * as THREE from '/static/three.module.min.js';
+
+import { TerrainGenerator } from './terrain-generator.js';
+import { buildHeightGrid } from './terrain-format.js';
+import { computeSplatWeights } from './terrain-splat.js';
+import { createTerrainMaterial } from './terrain-material.js';
+
+export class TerrainChunkManager {
+  // metadata: terrain metadata of the core map (size, resolution, generator parameters)
+  // regions: split core regions, used to match chunk edges to the core map exactly
+  constructor(scene, world, metadata, regions, options = {}) {
+    this.scene = scene;
+    this.world = world;
+    this.generator = new TerrainGenerator(metadata);
+
+    this.chunkSize = this.generator.params.size;
+    this.resolution = this.generator.params.resolution;
+    this.spacing = this.chunkSize / (this.resolution - 1);
+
+    this.yOffset = options.yOffset || 0;
+    this.physicsMaterial = options.physicsMaterial || null;
+
+    // Chunks within viewDistance (in chunks, square radius) are loaded; chunks beyond
+    // viewDistance + 1 are unloaded, so walking along a border doesn't thrash
+    this.viewDistance = options.viewDistance !== undefined ? options.viewDistance : 1;
+
+    // Chunks built per update() call - generating one takes a few milliseconds
+    this.maxLoadsPerUpdate = options.maxLoadsPerUpdate || 1;
+
+    this.chunks = new Map();
+    this.loadQueue = [];
+    this.currentChunk = null;
+
+    // Splat-mapped terrain material, normally shared with the pit map's flat region
+    this.ownsMaterial = !options.material;
+    this.material = options.material || createTerrainMaterial();
+
+    this.coreHeights = regions ? buildHeightGrid(regions, this.chunkSize, this.resolution) : null;
+  }
+
+  // Key used for the chunk map
+  getChunkKey(cx, cz) {
+    return cx + ',' + cz;
+  }
+
+  // Chunk coordinates containing a world position
+  getChunkCoords(x, z) {
+    const half = this.chunkSize / 2;
+    return {
+      cx: Math.floor((x + half) / this.chunkSize),
+      cz: Math.floor((z + half) / this.chunkSize)
+    };
+  }
+
+  // Load/unload chunks around a world position (e.g. the player's sphereBody)
+  update(position) {
+    const { cx, cz } = this.getChunkCoords(position.x, position.z);
+
+    // Only recompute the wanted set when the player enters another chunk
+    if (!this.currentChunk || this.currentChunk.cx !== cx || this.currentChunk.cz !== cz) {
+      this.currentChunk = { cx, cz };
+      this.unloadDistantChunks(cx, cz);
+      this.queueNearbyChunks(cx, cz);
+    }
+
+    for (let n = 0; n < this.maxLoadsPerUpdate && this.loadQueue.length > 0; n++) {
+      const next = this.loadQueue.shift();
+      this.loadChunk(next.cx, next.cz);
+    }
+  }
+
+  // Queue missing chunks within viewDistance, nearest first
+  queueNearbyChunks(cx, cz) {
+    this.loadQueue = [];
+
+    for (let dz = -this.viewDistance; dz <= this.viewDistance; dz++) {
+      for (let dx = -this.viewDistance; dx <= this.viewDistance; dx++) {
+        const x = cx + dx;
+        const z = cz + dz;
+        if (this.isCoreChunk(x, z) || this.chunks.has(this.getChunkKey(x, z))) continue;
+
+        this.loadQueue.push({ cx: x, cz: z, distance: Math.max(Math.abs(dx), Math.abs(dz)) });
+      }
+    }
+
+    this.loadQueue.sort((a, b) => a.distance - b.distance);
+  }
+
+  // Remove chunks more than viewDistance + 1 chunks away
+  unloadDistantChunks(cx, cz) {
+    for (const chunk of [...this.chunks.values()]) {
+      const distance = Math.max(Math.abs(chunk.cx - cx), Math.abs(chunk.cz - cz));
+      if (distance > this.viewDistance + 1) {
+        this.unloadChunk(chunk.cx, chunk.cz);
+      }
+    }
+  }
+
+  // The pit map itself is owned by WorldManager
+  isCoreChunk(cx, cz) {
+    return cx === 0 && cz === 0;
+  }
+
+  // Build the mesh and physics body for a chunk
+  loadChunk(cx, cz) {
+    const key = this.getChunkKey(cx, cz);
+    if (this.chunks.has(key)) return this.chunks.get(key);
+
+    const heights = this.generateChunkHeights(cx, cz);
+    const originX = cx * this.chunkSize - this.chunkSize / 2;
+    const originZ = cz * this.chunkSize - this.chunkSize / 2;
+
+    const mesh = this.createChunkMesh(heights, originX, originZ);
+    const body = this.createChunkBody(heights, originX, originZ);
+
+    this.scene.add(mesh);
+    this.world.addBody(body);
+
+    const chunk = { cx, cz, mesh, body };
+    this.chunks.set(key, chunk);
+    console.log(`Terrain chunk (${cx}, ${cz}) loaded, ${this.chunks.size} chunks active`);
+    return chunk;
+  }
+
+  // Remove a chunk's mesh and body and free its geometry
+  unloadChunk(cx, cz) {
+    const key = this.getChunkKey(cx, cz);
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+
+    this.scene.remove(chunk.mesh);
+    chunk.mesh.geometry.dispose();
+    this.world.removeBody(chunk.body);
+
+    this.chunks.delete(key);
+    console.log(`Terrain chunk (${cx}, ${cz}) unloaded, ${this.chunks.size} chunks active`);
+  }
+
+  // Remove every streamed chunk
+  dispose() {
+    for (const chunk of [...this.chunks.values()]) {
+      this.unloadChunk(chunk.cx, chunk.cz);
+    }
+    this.loadQueue = [];
+    this.currentChunk = null;
+    if (this.ownsMaterial) {
+      this.material.dispose();
+    }
+  }
+
+  // Height grid (row = z, column = x) for a chunk
+  generateChunkHeights(cx, cz) {
+    const res = this.resolution;
+    const heights = new Float32Array(res * res);
+    const originX = cx * this.chunkSize - this.chunkSize / 2;
+    const originZ = cz * this.chunkSize - this.chunkSize / 2;
+
+    for (let j = 0; j < res; j++) {
+      const z = originZ + j * this.spacing;
+      for (let i = 0; i < res; i++) {
+        const x = originX + i * this.spacing;
+        heights[j * res + i] = this.generator.getPitHeight(x, z) + this.generator.getMountainHeight(x, z);
+      }
+    }
+
+    // Rows/columns shared with the core map take its heights so the seam has no gaps
+    if (this.coreHeights) {
+      const last = res - 1;
+      for (let k = 0; k < res; k++) {
+        if (cx === 1 && cz === 0) heights[k * res] = this.coreHeights[k * res + last];
+        if (cx === -1 && cz === 0) heights[k * res + last] = this.coreHeights[k * res];
+        if (cz === 1 && cx === 0) heights[k] = this.coreHeights[last * res + k];
+        if (cz === -1 && cx === 0) heights[last * res + k] = this.coreHeights[k];
+      }
+      // Diagonal neighbours only share a corner point
+      if (cx === 1 && cz === 1) heights[0] = this.coreHeights[last * res + last];
+      if (cx === -1 && cz === 1) heights[last] = this.coreHeights[last * res];
+      if (cx === 1 && cz === -1) heights[last * res] = this.coreHeights[last];
+      if (cx === -1 && cz === -1) heights[last * res + last] = this.coreHeights[0];
+    }
+
+    return heights;
+  }
+
+  // Visual mesh using the same cell triangulation as the core map
+  createChunkMesh(heights, originX, originZ) {
+    const res = this.resolution;
+    const positions = new Float32Array(res * res * 3);
+    const indices = new Uint32Array((res - 1) * (res - 1) * 6);
+
+    for (let j = 0; j < res; j++) {
+      for (let i = 0; i < res; i++) {
+        const idx = j * res + i;
+        const height = heights[idx];
+        positions[idx * 3] = originX + i * this.spacing;
+        positions[idx * 3 + 1] = height;
+        positions[idx * 3 + 2] = originZ + j * this.spacing;
+      }
+    }
+
+    let n = 0;
+    for (let j = 0; j < res - 1; j++) {
+      for (let i = 0; i < res - 1; i++) {
+        const a = j * res + i;
+        const b = (j + 1) * res + i;
+        const c = (j + 1) * res + i + 1;
+        const d = j * res + i + 1;
+        indices.set([a, b, c, a, c, d], n);
+        n += 6;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    // Same slope/height rules as the splat weights baked into the terrain file
+    geometry.setAttribute('splat', new THREE.BufferAttribute(computeSplatWeights(positions, [indices]), 4, true));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeVertexNormals();
+
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.position.y = this.yOffset;
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+
+  // Static heightfield body, laid out like WorldManager.createHeightfieldBody()
+  createChunkBody(heights, originX, originZ) {
+    const res = this.resolution;
+
+    // Heightfield data is indexed [x][y] with local +y along world -z
+    const data = [];
+    for (let i = 0; i < res; i++) {
+      const column = [];
+      for (let j = res - 1; j >= 0; j--) {
+        column.push(heights[j * res + i]);
+      }
+      data.push(column);
+    }
+
+    const shape = new CANNON.Heightfield(data, { elementSize: this.spacing });
+    const body = new CANNON.Body({ mass: 0, material: this.physicsMaterial });
+    body.addShape(shape);
+    body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    body.position.set(originX, this.yOffset, originZ + (res - 1) * this.spacing);
+    return body;
+  }
+}
@@ -0,0 +1,264 @@
+// terrain-deform.js
+// Crater deformation for the terrain. A crater lowers terrain by a function of the
+// horizontal distance to its center only, so applying it to every copy of the terrain
+// (region vertex arrays, full resolution meshes, LOD levels, trimeshes, heightfields)
+// keeps them in agreement without knowing how one maps to the other.
+
+import * as CANNON from '/dist/cannon-es.js';
+import * as THREE from '/static/three.module.min.js';
+
+// Extra height given to a trimesh octree when a crater outgrows it, so later craters
+// can update it in place
+const TREE_HEIGHT_MARGIN = 10;
+
+// Depth of a crater at distance from its center: depth at the center, easing out to 0 at radius
+export function craterDepthAt(distance, radius, depth) {
+  if (distance >= radius) return 0;
+  const t = 1 - (distance * distance) / (radius * radius);
+  return depth * t * t;
+}
+
+// Lower the points of a flat xyz array inside crater ({ x, z, radius, depth }, world space).
+// originX/originZ: world position of the array's local origin
+// Returns the indices of the points that moved
+export function deformPositions(positions, originX, originZ, crater) {
+  const moved = [];
+  const radiusSq = crater.radius * crater.radius;
+
+  for (let v = 0; v < positions.length / 3; v++) {
+    const dx = originX + positions[v * 3] - crater.x;
+    const dz = originZ + positions[v * 3 + 2] - crater.z;
+    if (dx * dx + dz * dz >= radiusSq) continue;
+
+    positions[v * 3 + 1] -= craterDepthAt(Math.sqrt(dx * dx + dz * dz), crater.radius, crater.depth);
+    moved.push(v);
+  }
+
+  return moved;
+}
+
+// Deform every mesh under object (a region mesh or a group of LOD tiles). Meshes must
+// not be rotated or scaled. Vertices within normalMargin of the crater get their normals
+// from regionNormals (a RegionNormals of the deformed region) where the region has a
+// vertex at the same point, otherwise from their own mesh
+export function deformMeshes(object, crater, regionNormals, normalMargin) {
+  object.updateMatrixWorld(true);
+  const origin = new THREE.Vector3();
+  const reach = crater.radius + normalMargin;
+
+  object.traverse(mesh => {
+    if (!mesh.isMesh) return;
+
+    const geometry = mesh.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    origin.setFromMatrixPosition(mesh.matrixWorld);
+
+    // Skip meshes that don't reach the crater
+    const box = geometry.boundingBox;
+    if (origin.x + box.max.x < crater.x - reach || origin.x + box.min.x > crater.x + reach ||
+        origin.z + box.max.z < crater.z - reach || origin.z + box.min.z > crater.z + reach) {
+      return;
+    }
+
+    const position = geometry.getAttribute('position');
+    if (deformPositions(position.array, origin.x, origin.z, crater).length === 0) return;
+    position.needsUpdate = true;
+
+    updateNormalsNear(mesh, origin, crater, reach, regionNormals);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+  });
+}
+
+// Replace the normals of the vertices within reach of the crater
+function updateNormalsNear(mesh, origin, crater, reach, regionNormals) {
+  const geometry = mesh.geometry;
+  const positions = geometry.getAttribute('position').array;
+  const normal = geometry.getAttribute('normal');
+  if (!normal) return;
+
+  // Mesh positions relative to the region they were built from (LOD tiles are offset)
+  const offset = mesh.parent && mesh.parent.isLOD ? mesh.parent.position : new THREE.Vector3();
+  let ownNormals = null;
+
+  for (let v = 0; v < positions.length / 3; v++) {
+    const dx = origin.x + positions[v * 3] - crater.x;
+    const dz = origin.z + positions[v * 3 + 2] - crater.z;
+    if (dx * dx + dz * dz >= reach * reach) continue;
+
+    let n = regionNormals ? regionNormals.normalAt(positions[v * 3] + offset.x, positions[v * 3 + 2] + offset.z) : null;
+    if (!n) {
+      // Points that aren't region vertices (LOD fill points) use this mesh's own triangles
+      if (!ownNormals) {
+        const copy = new THREE.BufferGeometry();
+        copy.setAttribute('position', geometry.getAttribute('position'));
+        copy.setIndex(geometry.getIndex());
+        copy.computeVertexNormals();
+        ownNormals = copy.getAttribute('normal').array;
+      }
+      n = ownNormals.subarray(v * 3, v * 3 + 3);
+    }
+    normal.setXYZ(v, n[0], n[1], n[2]);
+  }
+
+  normal.needsUpdate = true;
+}
+
+// Vertex normals of a region's full resolution surface, looked up by position, so that
+// deformed LOD levels shade like the full resolution mesh. Shares the region's vertex
+// array - call update() after deforming it
+export class RegionNormals {
+  constructor(vertices, indices) {
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+    this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    // LOD tile positions are stored relative to the tile center, so match to the centimeter
+    this.vertexAt = new Map();
+    for (let v = 0; v < vertices.length / 3; v++) {
+      this.vertexAt.set(this.getKey(vertices[v * 3], vertices[v * 3 + 2]), v);
+    }
+
+    this.update();
+  }
+
+  getKey(x, z) {
+    return Math.round(x * 100) + ',' + Math.round(z * 100);
+  }
+
+  update() {
+    this.geometry.computeVertexNormals();
+    this.normals = this.geometry.getAttribute('normal').array;
+  }
+
+  // Normal of the region vertex at (x, z), or null if there is none
+  normalAt(x, z) {
+    const v = this.vertexAt.get(this.getKey(x, z));
+    return v === undefined ? null : this.normals.subarray(v * 3, v * 3 + 3);
+  }
+
+  dispose() {
+    this.geometry.dispose();
+  }
+}
+
+// Deform the Trimesh and Heightfield shapes of a static terrain body, with its shapes at
+// the body origin. Trimesh bodies must not be rotated; heightfield bodies must be rotated
+// like WorldManager.createHeightfieldBody() (-90 degrees around x).
+// Returns true if the body changed
+export function deformBody(body, crater) {
+  let changed = false;
+
+  for (const shape of body.shapes) {
+    if (shape.type === CANNON.Shape.types.TRIMESH) {
+      const moved = deformPositions(shape.vertices, body.position.x, body.position.z, crater);
+      if (moved.length === 0) continue;
+
+      shape.updateAABB();
+      shape.updateBoundingSphereRadius();
+      updateTrimeshTriangles(shape, moved);
+      changed = true;
+    } else if (shape.type === CANNON.Shape.types.HEIGHTFIELD) {
+      changed = deformHeightfield(shape, body.position.x, body.position.z, crater) || changed;
+    }
+  }
+
+  if (changed) {
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+  }
+  return changed;
+}
+
+// Update the normals and octree entries of the triangles using the moved vertices.
+// Rebuilding the whole octree (Trimesh.updateTree) takes ~50 ms for the flat region
+function updateTrimeshTriangles(shape, movedVertices) {
+  const isMoved = new Uint8Array(shape.vertices.length / 3);
+  for (const v of movedVertices) isMoved[v] = 1;
+
+  const indices = shape.indices;
+  const triangles = new Set();
+  for (let t = 0; t < indices.length / 3; t++) {
+    if (isMoved[indices[t * 3]] || isMoved[indices[t * 3 + 1]] || isMoved[indices[t * 3 + 2]]) {
+      triangles.add(t);
+    }
+  }
+
+  // Take the triangles out of the octree...
+  const queue = [shape.tree];
+  while (queue.length) {
+    const node = queue.pop();
+    if (node.data.length) node.data = node.data.filter(t => !triangles.has(t));
+    queue.push(...node.children);
+  }
+
+  // ...and put them back with their new bounds (same winding as Trimesh.updateNormals)
+  const a = new CANNON.Vec3();
+  const b = new CANNON.Vec3();
+  const c = new CANNON.Vec3();
+  const normal = new CANNON.Vec3();
+  const aabb = new CANNON.AABB();
+  let rebuild = false;
+  for (const t of triangles) {
+    shape.getTriangleVertices(t, a, b, c);
+    CANNON.Trimesh.computeNormal(b, a, c, normal);
+    shape.normals[t * 3] = normal.x;
+    shape.normals[t * 3 + 1] = normal.y;
+    shape.normals[t * 3 + 2] = normal.z;
+
+    aabb.setFromPoints([a, b, c]);
+    rebuild = rebuild || !insertIntoTree(shape.tree, aabb, t);
+  }
+
+  if (rebuild) {
+    // Crater reaches past the octree bounds - rebuild it, leaving room for more craters
+    shape.aabb.lowerBound.y -= TREE_HEIGHT_MARGIN;
+    shape.aabb.upperBound.y += TREE_HEIGHT_MARGIN;
+    shape.updateTree();
+    shape.updateAABB();
+  }
+}
+
+// Put a triangle into the deepest existing octree node containing its bounds. Nodes
+// can have fewer than 8 children after Octree.removeEmptyNodes(), which
+// OctreeNode.insert() doesn't handle
+function insertIntoTree(node, aabb, triangle) {
+  if (!node.aabb.contains(aabb)) return false;
+
+  for (const child of node.children) {
+    if (insertIntoTree(child, aabb, triangle)) return true;
+  }
+  node.data.push(triangle);
+  return true;
+}
+
+// Heightfield sample [i][k] sits at world (originX + i * elementSize, originZ - k * elementSize)
+function deformHeightfield(shape, originX, originZ, crater) {
+  const size = shape.elementSize;
+  const iMin = Math.max(0, Math.floor((crater.x - crater.radius - originX) / size));
+  const iMax = Math.min(shape.data.length - 1, Math.ceil((crater.x + crater.radius - originX) / size));
+  const kMin = Math.max(0, Math.floor((originZ - crater.z - crater.radius) / size));
+  const kMax = Math.min(shape.data[0].length - 1, Math.ceil((originZ - crater.z + crater.radius) / size));
+  let changed = false;
+
+  for (let i = iMin; i <= iMax; i++) {
+    for (let k = kMin; k <= kMax; k++) {
+      const dx = originX + i * size - crater.x;
+      const dz = originZ - k * size - crater.z;
+      const drop = craterDepthAt(Math.sqrt(dx * dx + dz * dz), crater.radius, crater.depth);
+      if (drop === 0) continue;
+
+      shape.data[i][k] -= drop;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    // Cached collision pillars reach down to minValue, so drop all of them
+    shape.update();
+    shape.updateMinValue();
+    shape.updateMaxValue();
+    shape.updateBoundingSphereRadius();
+  }
+  return changed;
+}
@@ -0,0 +1,332 @@
+// terrain-format.js
+// Terrain data formats used by WorldManager.loadTerrain():
+// - the original JSON format (shared vertex array + per-region index arrays), split
+//   into per-region vertex/index arrays here
+// - the binary container written by terrain_binary.py, which already stores the
+//   split regions as typed-array sections and is read without any remapping
+//
+// Binary layout (little-endian):
+//   0  'BPTR' magic
+//   4  uint32 format version
+//   8  uint32 header byte length
+//   12 header JSON { metadata, sections: [{ name, type, byteOffset, length }] }
+//   .. section data, every section aligned to 4 bytes
+//
+// Splat weights (4 uint8 per vertex, see terrain-splat.js) are optional in both
+// formats and computed here when a file doesn't have them.
+
+import { TerrainGenerator } from './terrain-generator.js';
+import { computeSplatWeights } from './terrain-splat.js';
+
+export const TERRAIN_BINARY_MAGIC = 'BPTR';
+export const TERRAIN_BINARY_VERSION = 1;
+
+// Region sections stored in the binary container
+export const TERRAIN_SECTIONS = [
+  'flatVertices', 'flatIndices',
+  'pitVertices', 'pitIndices',
+  'mountainVertices', 'mountainIndices',
+  'flatSplat', 'pitSplat', 'mountainSplat'
+];
+
+// Typed array for each section type
+const SECTION_TYPES = {
+  float32: Float32Array,
+  uint32: Uint32Array,
+  uint8: Uint8Array
+};
+
+// Check whether an ArrayBuffer starts with the binary terrain magic
+export function isTerrainBinary(buffer) {
+  if (buffer.byteLength < 12) return false;
+
+  const magic = new Uint8Array(buffer, 0, 4);
+  return String.fromCharCode(...magic) === TERRAIN_BINARY_MAGIC;
+}
+
+// Create typed-array views for every region section of a binary terrain file
+export function decodeTerrainBinary(buffer) {
+  if (!isTerrainBinary(buffer)) {
+    throw new Error("Not a binary terrain file");
+  }
+
+  const view = new DataView(buffer);
+  const version = view.getUint32(4, true);
+  if (version !== TERRAIN_BINARY_VERSION) {
+    throw new Error(`Unsupported binary terrain version ${version}`);
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength)));
+
+  const regions = {};
+  for (const section of header.sections) {
+    const ArrayType = SECTION_TYPES[section.type];
+    if (!ArrayType) {
+      throw new Error(`Unknown section type ${section.type} for ${section.name}`);
+    }
+    regions[section.name] = new ArrayType(buffer, section.byteOffset, section.length);
+  }
+
+  // Sections missing from the file are treated as empty regions
+  for (const name of ['flatVertices', 'flatIndices', 'pitVertices', 'pitIndices', 'mountainVertices', 'mountainIndices']) {
+    if (!regions[name]) {
+      regions[name] = name.endsWith('Vertices') ? new Float32Array(0) : new Uint32Array(0);
+    }
+  }
+  regions.hasMountainData = regions.mountainIndices.length > 0;
+  addMissingSplatWeights(regions);
+
+  return { metadata: header.metadata || {}, regions };
+}
+
+// Fetch a terrain file (binary or JSON) or generate one from a parameter object,
+// returning { metadata, regions }. Used directly and by terrain-worker.js.
+// onProgress(fraction, stage) reports progress in the 0..1 range
+export async function loadTerrainRegions(source, onProgress = () => {}) {
+  if (typeof source !== 'string') {
+    const terrainData = new TerrainGenerator(source).generate(
+      (progress) => onProgress(progress * 0.8, 'generating')
+    );
+    const regions = splitTerrainRegions(terrainData,
+      (progress) => onProgress(0.8 + progress * 0.2, 'processing'));
+    return { metadata: terrainData.metadata, regions };
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+  }
+
+  const buffer = await readWithProgress(response,
+    (progress) => onProgress(progress * 0.7, 'downloading'));
+
+  // Binary files already hold the split regions - just create typed-array views
+  if (isTerrainBinary(buffer)) {
+    const result = decodeTerrainBinary(buffer);
+    onProgress(1, 'processing');
+    return result;
+  }
+
+  const terrainData = JSON.parse(new TextDecoder().decode(buffer));
+  onProgress(0.75, 'processing');
+  const regions = splitTerrainRegions(terrainData,
+    (progress) => onProgress(0.75 + progress * 0.25, 'processing'));
+  return { metadata: terrainData.metadata, regions };
+}
+
+// Read a response body into an ArrayBuffer, reporting progress when the size is known
+async function readWithProgress(response, onProgress) {
+  // Content-Length is the encoded size, so progress is only an estimate for compressed responses
+  const total = parseInt(response.headers.get('Content-Length'), 10);
+  if (!response.body || !total) {
+    return response.arrayBuffer();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(value);
+    received += value.length;
+    onProgress(Math.min(received / total, 1));
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return bytes.buffer;
+}
+
+// Unique ArrayBuffers behind the typed arrays of a regions object (for postMessage transfer)
+export function getTransferList(regions) {
+  const buffers = new Set();
+  for (const name of TERRAIN_SECTIONS) {
+    if (regions[name]) buffers.add(regions[name].buffer);
+  }
+  return [...buffers];
+}
+
+// Split the JSON format's shared vertex array into separate per-region arrays
+export function splitTerrainRegions(terrainData, onProgress = () => {}) {
+  const vertices = terrainData.vertices;
+  const vertexCount = vertices.length / 3;
+
+  // Older files have no splat weights - compute them over the shared grid, so vertices
+  // on the flat/pit boundary get the same weights in both regions
+  const splat = terrainData.splatWeights ||
+    computeSplatWeights(vertices, [terrainData.flatIndices, terrainData.pitIndices]);
+
+  const flat = remapRegion(vertices, vertexCount, terrainData.flatIndices, splat);
+  onProgress(0.6);
+  const pit = remapRegion(vertices, vertexCount, terrainData.pitIndices, splat);
+  onProgress(0.7);
+
+  let mountain = { vertices: new Float32Array(0), indices: new Uint32Array(0), splat: null };
+  let hasMountainData = false;
+
+  // Decimated mountain data already has its own vertex array
+  if (terrainData.mountainVertices && terrainData.mountainIndices) {
+    mountain = {
+      vertices: Float32Array.from(terrainData.mountainVertices),
+      indices: Uint32Array.from(terrainData.mountainIndices),
+      splat: terrainData.mountainSplatWeights ? Uint8Array.from(terrainData.mountainSplatWeights) : null
+    };
+    hasMountainData = true;
+  }
+  // Fallback to mountain indices into the shared vertex array
+  else if (terrainData.mountainIndices && terrainData.mountainIndices.length > 0) {
+    mountain = remapRegion(vertices, vertexCount, terrainData.mountainIndices, splat);
+    hasMountainData = true;
+  }
+
+  const regions = {
+    flatVertices: flat.vertices,
+    flatIndices: flat.indices,
+    pitVertices: pit.vertices,
+    pitIndices: pit.indices,
+    mountainVertices: mountain.vertices,
+    mountainIndices: mountain.indices,
+    flatSplat: flat.splat,
+    pitSplat: pit.splat,
+    mountainSplat: mountain.splat,
+    hasMountainData
+  };
+  addMissingSplatWeights(regions);
+  onProgress(1);
+
+  return regions;
+}
+
+// Compute splat weights for regions whose file didn't include them
+function addMissingSplatWeights(regions) {
+  for (const name of ['flat', 'pit', 'mountain']) {
+    const vertices = regions[name + 'Vertices'];
+    const splat = regions[name + 'Splat'];
+    if (!splat || splat.length !== vertices.length / 3 * 4) {
+      regions[name + 'Splat'] = computeSplatWeights(vertices, [regions[name + 'Indices']]);
+    }
+  }
+}
+
+// Copy only the vertices (and splat weights) used by a region, in first-use order,
+// and remap its indices
+function remapRegion(vertices, vertexCount, indices = [], splat = null) {
+  // Lookup table from original vertex index to region vertex index (-1 = unused)
+  const remap = new Int32Array(vertexCount).fill(-1);
+  const regionIndices = new Uint32Array(indices.length);
+  const regionVertices = [];
+  const regionSplat = [];
+
+  for (let i = 0; i < indices.length; i++) {
+    const idx = indices[i];
+
+    if (remap[idx] === -1) {
+      remap[idx] = regionVertices.length / 3;
+      regionVertices.push(vertices[idx * 3], vertices[idx * 3 + 1], vertices[idx * 3 + 2]);
+      if (splat) {
+        regionSplat.push(splat[idx * 4], splat[idx * 4 + 1], splat[idx * 4 + 2], splat[idx * 4 + 3]);
+      }
+    }
+
+    regionIndices[i] = remap[idx];
+  }
+
+  return {
+    vertices: Float32Array.from(regionVertices),
+    indices: regionIndices,
+    splat: splat ? Uint8Array.from(regionSplat) : null
+  };
+}
+
+// Sample the terrain surface at every point of the full terrain grid, returning heights
+// indexed [j * resolution + i] (row = z, column = x). Vertices lying on grid points are
+// used as-is; the rest (decimated, jittered mountain mesh) is sampled from the region
+// triangles, and points outside every triangle take the nearest height along z
+export function buildHeightGrid(regions, size, resolution) {
+  const spacing = size / (resolution - 1);
+  const half = size / 2;
+  const grid = new Float32Array(resolution * resolution).fill(NaN);
+  const regionList = [
+    [regions.flatVertices, regions.flatIndices],
+    [regions.pitVertices, regions.pitIndices],
+    [regions.mountainVertices, regions.mountainIndices]
+  ];
+
+  for (const [vertices] of regionList) {
+    if (!vertices) continue;
+    for (let v = 0; v < vertices.length; v += 3) {
+      const fi = (vertices[v] + half) / spacing;
+      const fj = (vertices[v + 2] + half) / spacing;
+      const i = Math.round(fi);
+      const j = Math.round(fj);
+      if (i < 0 || j < 0 || i >= resolution || j >= resolution) continue;
+      if (Math.abs(fi - i) > 1e-3 || Math.abs(fj - j) > 1e-3) continue;
+      grid[j * resolution + i] = vertices[v + 1];
+    }
+  }
+
+  for (const [vertices, indices] of regionList) {
+    if (!vertices || !indices) continue;
+    for (let t = 0; t < indices.length; t += 3) {
+      rasterizeTriangle(grid, vertices, indices[t], indices[t + 1], indices[t + 2], spacing, half, resolution);
+    }
+  }
+
+  for (let i = 0; i < resolution; i++) {
+    let previous = -1;
+    for (let j = 0; j <= resolution; j++) {
+      if (j < resolution && Number.isNaN(grid[j * resolution + i])) continue;
+
+      // Interpolate between known points, or extend the nearest one at the column ends
+      for (let g = previous + 1; g < j; g++) {
+        const before = previous >= 0 ? grid[previous * resolution + i] : NaN;
+        const after = j < resolution ? grid[j * resolution + i] : NaN;
+        const t = (g - previous) / (j - previous);
+        grid[g * resolution + i] = Number.isNaN(before) ? after :
+          Number.isNaN(after) ? before : before * (1 - t) + after * t;
+      }
+      previous = j;
+    }
+  }
+
+  return grid;
+}
+
+// Fill still-empty grid points covered by a triangle with its interpolated height
+function rasterizeTriangle(grid, vertices, a, b, c, spacing, half, resolution) {
+  const ax = vertices[a * 3], ay = vertices[a * 3 + 1], az = vertices[a * 3 + 2];
+  const bx = vertices[b * 3], by = vertices[b * 3 + 1], bz = vertices[b * 3 + 2];
+  const cx = vertices[c * 3], cy = vertices[c * 3 + 1], cz = vertices[c * 3 + 2];
+
+  const area = (bx - ax) * (cz - az) - (cx - ax) * (bz - az);
+  if (Math.abs(area) < 1e-9) return;
+
+  const iMin = Math.max(0, Math.ceil((Math.min(ax, bx, cx) + half) / spacing - 1e-6));
+  const iMax = Math.min(resolution - 1, Math.floor((Math.max(ax, bx, cx) + half) / spacing + 1e-6));
+  const jMin = Math.max(0, Math.ceil((Math.min(az, bz, cz) + half) / spacing - 1e-6));
+  const jMax = Math.min(resolution - 1, Math.floor((Math.max(az, bz, cz) + half) / spacing + 1e-6));
+
+  for (let j = jMin; j <= jMax; j++) {
+    const z = -half + j * spacing;
+    for (let i = iMin; i <= iMax; i++) {
+      const idx = j * resolution + i;
+      if (!Number.isNaN(grid[idx])) continue;
+
+      const x = -half + i * spacing;
+      const u = ((x - ax) * (cz - az) - (cx - ax) * (z - az)) / area;
+      const v = ((bx - ax) * (z - az) - (x - ax) * (bz - az)) / area;
+      if (u < -1e-6 || v < -1e-6 || u + v > 1 + 1e-6) continue;
+
+      grid[idx] = ay + u * (by - ay) + v * (cy - ay);
+    }
+  }
+}
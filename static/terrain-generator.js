@@ -0,0 +1,261 @@
+// terrain-generator.js
+// Builds the same payload as the baked terrain_*.json files (vertices, flatIndices,
+// pitIndices, mountainVertices, mountainIndices + metadata) from the metadata
+// parameters alone, so WorldManager.loadTerrain() can create new pits at runtime.
+// Generated terrain also carries splat weights (splatWeights, mountainSplatWeights).
+
+import { computeSplatWeights } from './terrain-splat.js';
+
+export class TerrainGenerator {
+  constructor(params = {}) {
+    // Default parameters - same values as the baked r128_d18_rad20 terrain
+    this.params = {
+      size: 200,
+      resolution: 128,
+      pitCenter: { x: 0, z: 0 },
+      pitRadius: 20,
+      pitDepth: 18,
+      wallSteepness: 5,
+      mountainEnabled: true,
+      mountainRoughness: 0.15,
+      mountainHeight: 80,
+      mountainWidth: 97,
+      mountainPosition: -100,
+      mountainDetail: 1,
+      mountainSeed: 81.66652691862808,
+      mountainYDecimation: 3,
+      baseZNoiseAmount: 0,
+      ...params
+    };
+
+    // Integer seed used by the hash based noise
+    this.seed = Math.floor(this.params.mountainSeed * 1000) | 0;
+  }
+
+  // Generate the terrain data in the terrain JSON format
+  // onProgress(fraction) is called while the height grid is being built
+  generate(onProgress = null) {
+    const { size, resolution, mountainEnabled } = this.params;
+    const spacing = size / (resolution - 1);
+    const halfSize = size / 2;
+
+    // Full resolution grid, row-major (row = z, column = x)
+    const vertices = new Array(resolution * resolution * 3);
+    for (let j = 0; j < resolution; j++) {
+      const z = -halfSize + j * spacing;
+      for (let i = 0; i < resolution; i++) {
+        const x = -halfSize + i * spacing;
+        const idx = (j * resolution + i) * 3;
+        vertices[idx] = x;
+        vertices[idx + 1] = this.getPitHeight(x, z) + this.getMountainHeight(x, z);
+        vertices[idx + 2] = z;
+      }
+
+      if (onProgress && j % 8 === 0) {
+        onProgress(j / resolution);
+      }
+    }
+
+    // Split grid cells into flat, pit and mountain regions
+    const flatIndices = [];
+    const pitIndices = [];
+    let mountainColumns = [];
+
+    if (mountainEnabled) {
+      mountainColumns = this.getMountainColumns(spacing);
+    }
+    const isMountainColumn = new Set(mountainColumns);
+
+    for (let j = 0; j < resolution - 1; j++) {
+      for (let i = 0; i < resolution - 1; i++) {
+        // Mountain cells are emitted separately (decimated) below
+        if (isMountainColumn.has(i)) continue;
+
+        const a = j * resolution + i;
+        const b = (j + 1) * resolution + i;
+        const c = (j + 1) * resolution + i + 1;
+        const d = j * resolution + i + 1;
+
+        for (const triangle of [[a, b, c], [a, c, d]]) {
+          const target = this.isPitTriangle(vertices, triangle) ? pitIndices : flatIndices;
+          target.push(triangle[0], triangle[1], triangle[2]);
+        }
+      }
+    }
+
+    const terrainData = {
+      metadata: { ...this.params, pitCenter: { ...this.params.pitCenter } },
+      vertices,
+      flatIndices,
+      pitIndices,
+      splatWeights: Array.from(computeSplatWeights(vertices, [flatIndices, pitIndices]))
+    };
+
+    if (mountainColumns.length > 0) {
+      const mountain = this.buildMountainMesh(vertices, mountainColumns);
+      terrainData.mountainVertices = mountain.vertices;
+      terrainData.mountainIndices = mountain.indices;
+      terrainData.mountainSplatWeights = Array.from(
+        computeSplatWeights(mountain.vertices, [mountain.indices]));
+    }
+
+    console.log("Terrain generated:", resolution + "x" + resolution, "grid,",
+      flatIndices.length / 3, "flat /", pitIndices.length / 3, "pit triangles");
+
+    return terrainData;
+  }
+
+  // Pit bowl: -depth * (1 - (d / radius)^steepness) inside the pit radius
+  getPitHeight(x, z) {
+    const { pitCenter, pitRadius, pitDepth, wallSteepness } = this.params;
+    const distance = Math.hypot(x - pitCenter.x, z - pitCenter.z);
+
+    if (distance >= pitRadius) return 0;
+
+    return -pitDepth * (1 - Math.pow(distance / pitRadius, wallSteepness));
+  }
+
+  // Normalized distance (0 at the map edge, 1 at the mountain foot) for an x coordinate
+  getMountainFalloffT(x) {
+    const { mountainPosition, mountainWidth } = this.params;
+    return Math.abs(x - mountainPosition) / (mountainWidth / 2);
+  }
+
+  // Mountain ridge along the map edge at mountainPosition
+  getMountainHeight(x, z) {
+    const { mountainEnabled, mountainHeight, mountainRoughness } = this.params;
+    if (!mountainEnabled) return 0;
+
+    const t = this.getMountainFalloffT(x);
+    if (t >= 1) return 0;
+
+    // Flat-topped ridge that eases down to the ground at the mountain foot
+    const plateau = 0.3;
+    const falloff = t < plateau ? 1 : 0.5 * (1 + Math.cos(Math.PI * (t - plateau) / (1 - plateau)));
+
+    // Roughness scales how much the noise breaks up the ridge
+    const noise = this.fbm(x, z) * 2 - 1;
+    return mountainHeight * falloff * (1 + mountainRoughness * noise);
+  }
+
+  // Grid columns whose cells belong to the mountain region
+  getMountainColumns(spacing) {
+    const { size, resolution } = this.params;
+    const columns = [];
+
+    for (let i = 0; i < resolution - 1; i++) {
+      const x1 = -size / 2 + i * spacing;
+      const x2 = x1 + spacing;
+
+      // A cell is mountain if its edge-side column is still on the slope
+      if (Math.min(this.getMountainFalloffT(x1), this.getMountainFalloffT(x2)) < 1) {
+        columns.push(i);
+      }
+    }
+
+    return columns;
+  }
+
+  // A triangle belongs to the pit if any of its vertices lies inside the pit radius
+  isPitTriangle(vertices, triangle) {
+    const { pitCenter, pitRadius } = this.params;
+
+    return triangle.some(idx => {
+      const x = vertices[idx * 3];
+      const z = vertices[idx * 3 + 2];
+      return Math.hypot(x - pitCenter.x, z - pitCenter.z) < pitRadius;
+    });
+  }
+
+  // Build the separate mountain mesh, keeping every Nth row (mountainYDecimation)
+  buildMountainMesh(vertices, mountainColumns) {
+    const { resolution, mountainYDecimation, baseZNoiseAmount } = this.params;
+    const rowStep = Math.max(1, Math.round(mountainYDecimation || 1));
+
+    // Columns include the seam column shared with the flat region
+    const firstColumn = mountainColumns[0];
+    const lastColumn = mountainColumns[mountainColumns.length - 1] + 1;
+    const columnCount = lastColumn - firstColumn + 1;
+
+    const rows = [];
+    for (let j = 0; j < resolution; j += rowStep) rows.push(j);
+    if (rows[rows.length - 1] !== resolution - 1) rows.push(resolution - 1);
+
+    const mountainVertices = [];
+    for (let r = 0; r < rows.length; r++) {
+      const j = rows[r];
+      const isEdgeRow = r === 0 || r === rows.length - 1;
+
+      for (let i = firstColumn; i <= lastColumn; i++) {
+        const idx = (j * resolution + i) * 3;
+        let z = vertices[idx + 2];
+
+        // Optional jitter to hide the row decimation, keeping the map edges straight
+        if (baseZNoiseAmount && !isEdgeRow) {
+          z += (this.hash(i, j, 1) - 0.5) * baseZNoiseAmount;
+        }
+
+        mountainVertices.push(vertices[idx], vertices[idx + 1], z);
+      }
+    }
+
+    const mountainIndices = [];
+    for (let r = 0; r < rows.length - 1; r++) {
+      for (let c = 0; c < columnCount - 1; c++) {
+        const a = r * columnCount + c;
+        const b = (r + 1) * columnCount + c;
+        const cc = (r + 1) * columnCount + c + 1;
+        const d = r * columnCount + c + 1;
+        mountainIndices.push(a, b, cc, a, cc, d);
+      }
+    }
+
+    return { vertices: mountainVertices, indices: mountainIndices };
+  }
+
+  // Fractal value noise in the 0..1 range, octave count driven by mountainDetail
+  fbm(x, z) {
+    const octaves = Math.max(1, Math.round(4 * (this.params.mountainDetail || 1)));
+    let frequency = 1 / 16;
+    let amplitude = 1;
+    let total = 0;
+    let norm = 0;
+
+    for (let o = 0; o < octaves; o++) {
+      total += this.valueNoise(x * frequency, z * frequency, o) * amplitude;
+      norm += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+
+    return total / norm;
+  }
+
+  // Smoothly interpolated lattice noise
+  valueNoise(x, z, octave) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fz = z - z0;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sz = fz * fz * (3 - 2 * fz);
+
+    const n00 = this.hash(x0, z0, octave);
+    const n10 = this.hash(x0 + 1, z0, octave);
+    const n01 = this.hash(x0, z0 + 1, octave);
+    const n11 = this.hash(x0 + 1, z0 + 1, octave);
+
+    const nx0 = n00 + (n10 - n00) * sx;
+    const nx1 = n01 + (n11 - n01) * sx;
+    return nx0 + (nx1 - nx0) * sz;
+  }
+
+  // Deterministic 32-bit integer hash -> 0..1 (mirrored by terrain_generator.py)
+  hash(ix, iz, salt) {
+    let h = (Math.imul(ix, 374761393) + Math.imul(iz, 668265263) +
+      Math.imul(this.seed + salt * 1013, 2246822519)) | 0;
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967295;
+  }
+}
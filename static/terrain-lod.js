@@ -0,0 +1,264 @@
+// terrain-lod.js
+// Level-of-detail meshes for the terrain regions. Each region is cut into square
+// tiles of grid cells, and every tile gets one THREE.LOD with a mesh per decimation
+// step. Decimation snaps every vertex to the nearest "anchor" row/column of the grid
+// (multiples of the step, plus pinned rows/columns such as the region borders) and
+// drops the triangles that collapse, so regions decimated with the same anchors still
+// meet without gaps. Tiles at different levels only meet at T-junctions.
+
+import * as THREE from '/static/three.module.min.js';
+
+// LOD whose raycasts always use the full resolution level, so placement raycasts
+// (e.g. GameObjects.findMushroomPosition) don't depend on where the camera is
+export class TerrainLOD extends THREE.LOD {
+  raycast(raycaster, intersects) {
+    if (this.levels.length > 0) {
+      this.levels[0].object.raycast(raycaster, intersects);
+    }
+    // Don't descend into the other levels
+    return false;
+  }
+}
+
+// Grid coordinates of flat/pit vertices, which lie on the full terrain grid
+export function getTerrainGridCoords(vertices, size, resolution) {
+  const spacing = size / (resolution - 1);
+  const half = size / 2;
+  const coords = new Int32Array(vertices.length / 3 * 2);
+
+  for (let v = 0; v < vertices.length / 3; v++) {
+    coords[v * 2] = Math.round((vertices[v * 3] + half) / spacing);
+    coords[v * 2 + 1] = Math.round((vertices[v * 3 + 2] + half) / spacing);
+  }
+
+  return { coords, columns: resolution, rows: resolution };
+}
+
+// Grid coordinates of the decimated mountain mesh, which is a row-major grid of its own
+// (vertex = row * columns + column) with irregular positions. Returns null if the
+// indices don't follow that layout
+export function getMountainGridCoords(vertices, indices) {
+  const vertexCount = vertices.length / 3;
+  if (indices.length < 3 || indices[0] !== 0) return null;
+
+  // First triangle is (a, b, c) with b one row below a
+  const columns = indices[1];
+  if (columns < 2 || vertexCount % columns !== 0) return null;
+
+  const coords = new Int32Array(vertexCount * 2);
+  for (let v = 0; v < vertexCount; v++) {
+    coords[v * 2] = v % columns;
+    coords[v * 2 + 1] = Math.floor(v / columns);
+  }
+
+  return { coords, columns, rows: vertexCount / columns };
+}
+
+// Build LOD tile data for a region.
+// region: { vertices, indices, coords, columns, rows, positionAt(i, j), attributes }
+//   coords: grid (column, row) per vertex; positionAt: [x, y, z] for grid points the
+//   region has no vertex at (may return null); attributes: extra per-vertex data
+//   ({ name: { array, itemSize, normalized } }, e.g. splat weights) copied to every level
+// options: { tileSize, steps, pinnedColumns, pinnedRows }
+//   tileSize should be a multiple of every step so tile borders stay anchored
+// Returns [{ center: THREE.Vector3, levels: [{ step, positions, normals, indices, attributes }] }]
+export function buildLodTiles(region, options) {
+  const { vertices, indices, coords, columns, rows } = region;
+  const { tileSize, steps, pinnedColumns = [], pinnedRows = [] } = options;
+
+  // Grid point -> region vertex lookup
+  const vertexAt = new Int32Array(columns * rows).fill(-1);
+  for (let v = 0; v < vertices.length / 3; v++) {
+    vertexAt[coords[v * 2 + 1] * columns + coords[v * 2]] = v;
+  }
+
+  // Full resolution normals, shared by every level so tile borders shade smoothly
+  const fullGeometry = new THREE.BufferGeometry();
+  fullGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+  fullGeometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  fullGeometry.computeVertexNormals();
+  const regionNormals = fullGeometry.getAttribute('normal').array;
+
+  // Group triangles by the tile of their cell (lowest column/row of the triangle)
+  const tileTriangles = new Map();
+  for (let t = 0; t < indices.length; t += 3) {
+    let column = Infinity;
+    let row = Infinity;
+    for (let k = 0; k < 3; k++) {
+      column = Math.min(column, coords[indices[t + k] * 2]);
+      row = Math.min(row, coords[indices[t + k] * 2 + 1]);
+    }
+
+    const key = Math.floor(column / tileSize) + ',' + Math.floor(row / tileSize);
+    if (!tileTriangles.has(key)) tileTriangles.set(key, []);
+    tileTriangles.get(key).push(t);
+  }
+
+  const snapTables = steps.map(step => ({
+    columns: buildSnapTable(columns, step, pinnedColumns),
+    rows: buildSnapTable(rows, step, pinnedRows)
+  }));
+
+  const tiles = [];
+  for (const triangles of tileTriangles.values()) {
+    const levels = steps.map((step, s) =>
+      buildTileLevel(region, triangles, snapTables[s], vertexAt, regionNormals, step));
+
+    // LOD distances are measured to the tile center
+    const box = new THREE.Box3().setFromArray(levels[0].positions);
+    const center = box.getCenter(new THREE.Vector3());
+
+    tiles.push({ center, levels });
+  }
+
+  fullGeometry.dispose();
+  return tiles;
+}
+
+// Nearest anchor for every grid index 0..count-1 (ties snap up, like Math.round)
+function buildSnapTable(count, step, pinned) {
+  const anchors = new Set([0, count - 1]);
+  for (let k = 0; k < count; k += step) anchors.add(k);
+  for (const k of pinned) {
+    if (k >= 0 && k < count) anchors.add(k);
+  }
+
+  const sorted = [...anchors].sort((a, b) => a - b);
+  const table = new Int32Array(count);
+  let a = 0;
+  for (let k = 0; k < count; k++) {
+    while (a < sorted.length - 1 && sorted[a + 1] - k <= k - sorted[a]) a++;
+    table[k] = sorted[a];
+  }
+
+  return table;
+}
+
+// Decimate one tile's triangles with a level's snap tables
+function buildTileLevel(region, triangles, snap, vertexAt, regionNormals, step) {
+  const { vertices, indices, coords, columns } = region;
+  const positions = [];
+  const normals = [];
+  const levelIndices = [];
+  const levelVertex = new Map();
+  const seen = new Set();
+  const missingNormals = [];
+  const attributes = region.attributes || {};
+  const levelAttributes = {};
+  for (const name of Object.keys(attributes)) levelAttributes[name] = [];
+
+  // Level vertex for a snapped grid point, created on first use. Attributes come from
+  // the region vertex at that point, or from the vertex that was snapped onto it
+  const getVertex = (i, j, source) => {
+    const key = j * columns + i;
+    if (levelVertex.has(key)) return levelVertex.get(key);
+
+    const v = vertexAt[key];
+    let position = null;
+    if (v >= 0) {
+      position = [vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]];
+      normals.push(regionNormals[v * 3], regionNormals[v * 3 + 1], regionNormals[v * 3 + 2]);
+    } else {
+      position = region.positionAt ? region.positionAt(i, j) : null;
+      if (!position) {
+        levelVertex.set(key, -1);
+        return -1;
+      }
+      missingNormals.push(positions.length / 3);
+      normals.push(0, 1, 0);
+    }
+
+    const index = positions.length / 3;
+    positions.push(position[0], position[1], position[2]);
+    levelVertex.set(key, index);
+
+    const attributeVertex = v >= 0 ? v : source;
+    for (const [name, { array, itemSize }] of Object.entries(attributes)) {
+      for (let k = 0; k < itemSize; k++) {
+        levelAttributes[name].push(array[attributeVertex * itemSize + k]);
+      }
+    }
+    return index;
+  };
+
+  for (const t of triangles) {
+    const keys = [];
+    for (let k = 0; k < 3; k++) {
+      const v = indices[t + k];
+      keys.push(snap.rows[coords[v * 2 + 1]] * columns + snap.columns[coords[v * 2]]);
+    }
+
+    // Collapsed triangle
+    if (keys[0] === keys[1] || keys[1] === keys[2] || keys[0] === keys[2]) continue;
+
+    // Same snapped triangle from another cell (rotation-independent, winding kept)
+    const first = keys.indexOf(Math.min(...keys));
+    const id = keys[first] + ',' + keys[(first + 1) % 3] + ',' + keys[(first + 2) % 3];
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const triangle = keys.map((key, k) => getVertex(key % columns, Math.floor(key / columns), indices[t + k]));
+    if (triangle.includes(-1)) continue;
+    levelIndices.push(triangle[0], triangle[1], triangle[2]);
+  }
+
+  const level = {
+    step,
+    positions: Float32Array.from(positions),
+    normals: Float32Array.from(normals),
+    indices: Uint32Array.from(levelIndices),
+    attributes: {}
+  };
+  for (const [name, { array }] of Object.entries(attributes)) {
+    level.attributes[name] = array.constructor.from(levelAttributes[name]);
+  }
+
+  // Points that came from positionAt() get normals computed from this level's triangles
+  if (missingNormals.length > 0) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(level.positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(level.indices, 1));
+    geometry.computeVertexNormals();
+
+    const computed = geometry.getAttribute('normal').array;
+    for (const v of missingNormals) {
+      level.normals.set(computed.subarray(v * 3, v * 3 + 3), v * 3);
+    }
+    geometry.dispose();
+  }
+
+  return level;
+}
+
+// Build a group of TerrainLOD tiles. levelDistances[n] is the camera distance at which
+// level n (tiles[].levels[n]) takes over. attributeLayout: { name: { itemSize, normalized } }
+// for the extra attributes passed to buildLodTiles()
+export function createLodGroup(tiles, material, levelDistances, attributeLayout = {}, options = {}) {
+  const group = new THREE.Group();
+
+  for (const tile of tiles) {
+    const lod = new TerrainLOD();
+    lod.position.copy(tile.center);
+
+    tile.levels.forEach((level, n) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(level.positions, 3));
+      geometry.setAttribute('normal', new THREE.BufferAttribute(level.normals, 3));
+      geometry.setIndex(new THREE.BufferAttribute(level.indices, 1));
+      for (const [name, array] of Object.entries(level.attributes)) {
+        const { itemSize, normalized = false } = attributeLayout[name];
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized));
+      }
+      geometry.translate(-tile.center.x, -tile.center.y, -tile.center.z);
+
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.castShadow = options.castShadow !== false;
+      mesh.receiveShadow = options.receiveShadow !== false;
+      lod.addLevel(mesh, levelDistances[n] || 0);
+    });
+
+    group.add(lod);
+  }
+
+  return group;
+}
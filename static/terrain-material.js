@@ -0,0 +1,161 @@
+// terrain-material.js
+// Splat-mapped terrain material: a MeshLambertMaterial (so lighting, shadows and fog
+// keep working) whose diffuse color blends four tiled textures - grass, sand, rock,
+// dirt - by the per-vertex 'splat' attribute (see terrain-splat.js). The rock weight
+// is sharpened per pixel by slope, and rock is projected triplanar so steep pit walls
+// don't stretch. Textures are generated on canvases, no image assets needed.
+
+import * as THREE from '/static/three.module.min.js';
+
+// Tileable texture settings: base color, per-pixel variation and noise stretch
+const TEXTURE_STYLES = {
+  grass: { color: [0.30, 0.62, 0.26], variation: 0.35, stretch: [1, 1] },
+  sand: { color: [0.90, 0.78, 0.56], variation: 0.18, stretch: [1, 1] },
+  rock: { color: [0.52, 0.47, 0.40], variation: 0.45, stretch: [1, 3] },
+  dirt: { color: [0.51, 0.42, 0.25], variation: 0.30, stretch: [1, 1] }
+};
+
+let sharedTextures = null;
+
+// Textures shared by every terrain material
+export function getTerrainTextures() {
+  if (!sharedTextures) {
+    sharedTextures = {};
+    let seed = 1;
+    for (const [name, style] of Object.entries(TEXTURE_STYLES)) {
+      sharedTextures[name] = createNoiseTexture(style, seed++);
+    }
+  }
+  return sharedTextures;
+}
+
+// options: flatShading, textureScale (texture repeats per world unit)
+export function createTerrainMaterial(options = {}) {
+  const textures = getTerrainTextures();
+  const material = new THREE.MeshLambertMaterial({
+    color: 0xffffff,
+    flatShading: options.flatShading || false
+  });
+
+  const uniforms = {
+    grassMap: { value: textures.grass },
+    sandMap: { value: textures.sand },
+    rockMap: { value: textures.rock },
+    dirtMap: { value: textures.dirt },
+    textureScale: { value: options.textureScale || 1 / 8 }
+  };
+  material.userData.terrainUniforms = uniforms;
+
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+attribute vec4 splat;
+varying vec4 vSplat;
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;`)
+      .replace('#include <begin_vertex>', `#include <begin_vertex>
+vSplat = splat;
+vTerrainPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vTerrainNormal = normalize(mat3(modelMatrix) * objectNormal);`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+uniform sampler2D grassMap;
+uniform sampler2D sandMap;
+uniform sampler2D rockMap;
+uniform sampler2D dirtMap;
+uniform float textureScale;
+varying vec4 vSplat;
+varying vec3 vTerrainPosition;
+varying vec3 vTerrainNormal;`)
+      .replace('vec4 diffuseColor = vec4( diffuse, opacity );', `
+vec3 terrainNormal = normalize(vTerrainNormal);
+vec4 weights = vSplat;
+// Per-pixel slope keeps rock on steep faces even between vertices
+weights.z = max(weights.z, smoothstep(0.3, 0.5, 1.0 - abs(terrainNormal.y)));
+weights /= max(dot(weights, vec4(1.0)), 0.0001);
+
+vec3 p = vTerrainPosition * textureScale;
+vec3 blend = pow(abs(terrainNormal), vec3(4.0));
+blend /= dot(blend, vec3(1.0));
+vec3 rock = texture2D(rockMap, p.zy).rgb * blend.x +
+            texture2D(rockMap, p.xz).rgb * blend.y +
+            texture2D(rockMap, p.xy).rgb * blend.z;
+
+vec3 terrainColor = texture2D(grassMap, p.xz).rgb * weights.x +
+                    texture2D(sandMap, p.xz).rgb * weights.y +
+                    rock * weights.z +
+                    texture2D(dirtMap, p.xz).rgb * weights.w;
+vec4 diffuseColor = vec4( diffuse * terrainColor, opacity );`);
+  };
+
+  return material;
+}
+
+// Tileable value noise texture
+function createNoiseTexture(style, seed, size = 256) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(size, size);
+
+  // Random lattices that wrap around, one per octave
+  let state = seed * 9301 + 49297;
+  const random = () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280;
+  };
+  const octaves = [8, 16, 32, 64].map(cells => ({
+    cellsX: Math.max(1, Math.round(cells / style.stretch[0])),
+    cellsY: Math.max(1, Math.round(cells / style.stretch[1])),
+    values: Array.from({ length: cells * cells }, random)
+  }));
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let noise = 0;
+      let amplitude = 0.5;
+      for (const octave of octaves) {
+        noise += sampleLattice(octave, x / size, y / size) * amplitude;
+        amplitude *= 0.5;
+      }
+
+      // noise is ~0..1, centered around 0.47
+      const shade = 1 + (noise - 0.47) * 2 * style.variation;
+      const idx = (y * size + x) * 4;
+      image.data[idx] = Math.min(255, style.color[0] * shade * 255);
+      image.data[idx + 1] = Math.min(255, style.color[1] * shade * 255);
+      image.data[idx + 2] = Math.min(255, style.color[2] * shade * 255);
+      image.data[idx + 3] = 255;
+    }
+  }
+  context.putImageData(image, 0, 0);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.anisotropy = 4;
+  return texture;
+}
+
+// Smoothly interpolated lattice value at u, v (0..1, wrapping)
+function sampleLattice(octave, u, v) {
+  const { cellsX, cellsY, values } = octave;
+  const fx = u * cellsX;
+  const fy = v * cellsY;
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const sx = tx * tx * (3 - 2 * tx);
+  const sy = ty * ty * (3 - 2 * ty);
+
+  const at = (x, y) => values[(y % cellsY) * cellsX + (x % cellsX)];
+  const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * sx;
+  const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * sx;
+  return top + (bottom - top) * sy;
+}
@@ -0,0 +1,58 @@
+// terrain-splat.js
+// Per-vertex splat weights for the terrain shader (terrain-material.js): four uint8
+// channels per vertex - grass, sand, rock, dirt - picked by slope and height.
+// Mirrored by compute_splat_weights() in terrain_generator.py.
+
+export const SPLAT_CHANNELS = ['grass', 'sand', 'rock', 'dirt'];
+
+// vertices: flat xyz array; indexLists: index arrays whose triangles use these vertices
+// Returns a Uint8Array with 4 weights (0..255) per vertex
+export function computeSplatWeights(vertices, indexLists) {
+  const vertexCount = vertices.length / 3;
+  const normals = new Float64Array(vertexCount * 3);
+
+  // Area weighted vertex normals
+  for (const indices of indexLists) {
+    if (!indices) continue;
+    for (let t = 0; t < indices.length; t += 3) {
+      const a = indices[t] * 3, b = indices[t + 1] * 3, c = indices[t + 2] * 3;
+      const e1x = vertices[b] - vertices[a], e1y = vertices[b + 1] - vertices[a + 1], e1z = vertices[b + 2] - vertices[a + 2];
+      const e2x = vertices[c] - vertices[a], e2y = vertices[c + 1] - vertices[a + 1], e2z = vertices[c + 2] - vertices[a + 2];
+      const nx = e1y * e2z - e1z * e2y;
+      const ny = e1z * e2x - e1x * e2z;
+      const nz = e1x * e2y - e1y * e2x;
+
+      for (const v of [a, b, c]) {
+        normals[v] += nx;
+        normals[v + 1] += ny;
+        normals[v + 2] += nz;
+      }
+    }
+  }
+
+  const weights = new Uint8Array(vertexCount * 4);
+  for (let v = 0; v < vertexCount; v++) {
+    const length = Math.hypot(normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]);
+    const slope = length > 0 ? 1 - Math.abs(normals[v * 3 + 1]) / length : 0;
+    const height = vertices[v * 3 + 1];
+
+    // Steep faces are rock, the pit floor sand, high mountain plateaus dirt
+    const rock = smoothstep(0.12, 0.35, slope);
+    const sand = (1 - rock) * smoothstep(-0.3, -1.5, height);
+    const dirt = (1 - rock) * (1 - sand) * smoothstep(6, 20, height);
+    const grass = Math.max(0, 1 - rock - sand - dirt);
+
+    weights[v * 4] = Math.round(grass * 255);
+    weights[v * 4 + 1] = Math.round(sand * 255);
+    weights[v * 4 + 2] = Math.round(rock * 255);
+    weights[v * 4 + 3] = Math.round(dirt * 255);
+  }
+
+  return weights;
+}
+
+// Hermite step from edge0 to edge1 (edge0 > edge1 gives a falling step)
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,23 @@
+// terrain-worker.js
+// Loads, generates and splits terrain data off the main thread so the loading
+// screen stays responsive. Started by WorldManager.loadTerrainData().
+//
+// in:  { source }                                  URL or generator parameters
+// out: { type: 'progress', progress, stage }       progress in the 0..1 range
+//      { type: 'result', metadata, regions }       typed arrays are transferred
+//      { type: 'error', message }
+import { loadTerrainRegions, getTransferList } from './terrain-format.js';
+
+self.onmessage = async (event) => {
+  const { source } = event.data;
+
+  try {
+    const { metadata, regions } = await loadTerrainRegions(source, (progress, stage) => {
+      self.postMessage({ type: 'progress', progress, stage });
+    });
+
+    self.postMessage({ type: 'result', metadata, regions }, getTransferList(regions));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
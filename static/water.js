@@ -0,0 +1,152 @@
+// water.js
+// A pool of water in the bottom of the pit: a disc at the water level with waves
+// animated in the vertex shader (the pit walls hide the parts beyond the shore), and
+// buoyancy and drag on the dynamic bodies in it. Bodies are treated as spheres of their
+// bounding radius, so the submerged share is exact for the player and the balls.
+
+import * as CANNON from '/dist/cannon-es.js';
+import * as THREE from '/static/three.module.min.js';
+
+// Wave components: direction angle, wavelength, amplitude, speed (units/s)
+const WAVES = [
+  { angle: 0.3, length: 9, amplitude: 0.08, speed: 1.6 },
+  { angle: 2.1, length: 5.5, amplitude: 0.05, speed: 1.2 },
+  { angle: 4.0, length: 3.2, amplitude: 0.03, speed: 0.9 }
+];
+
+export class Water {
+  // options: center (THREE.Vector3 of the pit center at ground level; y is ignored),
+  //          radius (of the water disc), level (world y of the surface),
+  //          buoyancy (upward force at full submersion, in body weights),
+  //          drag (velocity damping per second at full submersion)
+  constructor(scene, world, options = {}) {
+    this.scene = scene;
+    this.world = world;
+    this.center = options.center ? options.center.clone() : new THREE.Vector3();
+    this.radius = options.radius || 25;
+    this.level = options.level !== undefined ? options.level : 10;
+    this.buoyancy = options.buoyancy || 1.6;
+    this.drag = options.drag || 1.5;
+    this.time = 0;
+    this.force = new CANNON.Vec3(); // Scratch vector for applyForces()
+
+    this.mesh = this.createMesh();
+    this.scene.add(this.mesh);
+
+    // Forces go in before every physics substep (forces are cleared after each one)
+    this.onPreStep = () => this.applyForces();
+    this.world.addEventListener('preStep', this.onPreStep);
+  }
+
+  createMesh() {
+    // Rings of vertices so the waves have something to move
+    const geometry = new THREE.RingGeometry(0, this.radius, 96, 32);
+    geometry.rotateX(-Math.PI / 2);
+
+    const material = new THREE.MeshPhongMaterial({
+      color: 0x2A7FA0,
+      specular: 0xCCEEFF,
+      shininess: 90,
+      transparent: true,
+      opacity: 0.75,
+      depthWrite: false // Bodies and the pit floor stay visible through it
+    });
+
+    this.uniforms = {
+      waterTime: { value: 0 }
+    };
+
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.uniforms);
+
+      const waveCode = WAVES.map(wave => {
+        const k = (Math.PI * 2 / wave.length).toFixed(4);
+        const dx = Math.cos(wave.angle).toFixed(4);
+        const dz = Math.sin(wave.angle).toFixed(4);
+        return `
+  phase = ${k} * (dot(p, vec2(${dx}, ${dz})) - ${wave.speed.toFixed(4)} * waterTime);
+  height += ${wave.amplitude.toFixed(4)} * sin(phase);
+  slope += ${(wave.amplitude * 2 * Math.PI / wave.length).toFixed(4)} * cos(phase) * vec2(${dx}, ${dz});`;
+      }).join('');
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+uniform float waterTime;
+
+// Surface height and its x/z slope at a point of the (flat) water disc
+void waterWaves(vec2 p, out float height, out vec2 slope) {
+  float phase;
+  height = 0.0;
+  slope = vec2(0.0);${waveCode}
+}`)
+        .replace('#include <beginnormal_vertex>', `
+float waveHeight;
+vec2 waveSlope;
+waterWaves((modelMatrix * vec4(position, 1.0)).xz, waveHeight, waveSlope);
+vec3 objectNormal = normalize(vec3(-waveSlope.x, 1.0, -waveSlope.y));`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+transformed.y += waveHeight;`);
+    };
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(this.center.x, this.level, this.center.z);
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+
+  // Animate the surface - call every frame
+  update(dt) {
+    this.time += dt;
+    this.uniforms.waterTime.value = this.time;
+  }
+
+  // Move the surface to another world y
+  setLevel(level) {
+    this.level = level;
+    this.mesh.position.y = level;
+  }
+
+  // Share (0..1) of a sphere of the given radius at position that is under water
+  getSubmergedFraction(position, radius) {
+    const dx = position.x - this.center.x;
+    const dz = position.z - this.center.z;
+    if (dx * dx + dz * dz > this.radius * this.radius || radius <= 0) return 0;
+
+    // Spherical cap below the surface
+    const h = THREE.MathUtils.clamp(this.level - (position.y - radius), 0, radius * 2);
+    return h * h * (3 * radius - h) / (4 * radius * radius * radius);
+  }
+
+  // Whether a body is deep enough in the water to swim
+  isSwimming(body) {
+    return this.getSubmergedFraction(body.position, body.boundingRadius) > 0.3;
+  }
+
+  // Buoyancy and drag on the dynamic bodies in the water
+  applyForces() {
+    const gravity = this.world.gravity.length();
+    const force = this.force;
+
+    for (const body of this.world.bodies) {
+      if (body.type !== CANNON.Body.DYNAMIC || body.mass === 0) continue;
+
+      const fraction = this.getSubmergedFraction(body.position, body.boundingRadius);
+      if (fraction === 0) continue;
+
+      const drag = this.drag * fraction * body.mass;
+      force.set(
+        -body.velocity.x * drag,
+        this.buoyancy * fraction * body.mass * gravity - body.velocity.y * drag,
+        -body.velocity.z * drag
+      );
+      body.applyForce(force);
+    }
+  }
+
+  dispose() {
+    this.world.removeEventListener('preStep', this.onPreStep);
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
@@ -0,0 +1,248 @@
+// weather.js
+// Weather states (clear, overcast, rain, storm) blended over time. Drives the cloud
+// coverage/drift of CloudManager, instanced rain streaks around the camera, a wind force
+// on light physics bodies and the sky/fog/light adjustments of DayNightCycle.
+
+import * as CANNON from '/dist/cannon-es.js';
+import * as THREE from '/static/three.module.min.js';
+
+// cloudCover:  share of the extra clusters over the map (CloudManager.setCoverage)
+// overcast:    greys the sky, darkens clouds and dims the sun (0..1)
+// rain:        share of the rain drops shown (0..1)
+// windSpeed:   average wind speed in units/s
+// fogScale:    fog density multiplier
+// lightning:   lightning flashes per second
+export const WEATHER_STATES = {
+  clear: { cloudCover: 0.25, overcast: 0.0, rain: 0.0, windSpeed: 1.5, fogScale: 1.0, lightning: 0 },
+  overcast: { cloudCover: 0.7, overcast: 0.5, rain: 0.0, windSpeed: 4, fogScale: 1.4, lightning: 0 },
+  rain: { cloudCover: 1.0, overcast: 0.75, rain: 0.6, windSpeed: 6, fogScale: 1.9, lightning: 0 },
+  storm: { cloudCover: 1.0, overcast: 1.0, rain: 1.0, windSpeed: 14, fogScale: 2.4, lightning: 0.12 }
+};
+
+export class WeatherManager {
+  // cloudManager: CloudManager to drive; dayNight: DayNightCycle for sky/fog/lights (optional)
+  constructor(scene, world, cloudManager, dayNight = null, state = 'clear') {
+    this.scene = scene;
+    this.world = world;
+    this.cloudManager = cloudManager;
+    this.dayNight = dayNight;
+
+    if (!WEATHER_STATES[state]) state = 'clear';
+    this.state = state;
+    this.params = { ...WEATHER_STATES[state] };
+
+    // Active transition: params blend from 'from' to the target state's values
+    this.from = null;
+    this.transitionTime = 0;
+    this.transitionDuration = 0;
+
+    // Wind: direction turns slowly, strength gusts around windSpeed
+    this.windAngle = Math.random() * Math.PI * 2;
+    this.wind = new THREE.Vector3();
+    this.time = 0;
+
+    // Bodies up to this mass are pushed by the wind (thrown balls yes, the player no)
+    this.windMaxMass = 2;
+    this.windDrag = 0.4; // Force per unit of speed difference to the wind
+
+    this.flash = 0; // Current lightning flash brightness
+
+    this.rain = new RainParticles(scene);
+
+    // Apply wind before every physics substep (forces are cleared after each one)
+    this.onPreStep = () => this.applyWind();
+    this.world.addEventListener('preStep', this.onPreStep);
+  }
+
+  // Change the weather, blending to the new state over transitionSeconds.
+  // Returns false for unknown states
+  setWeather(state, transitionSeconds = 10) {
+    if (!WEATHER_STATES[state]) {
+      console.warn("Unknown weather state:", state);
+      return false;
+    }
+
+    this.state = state;
+    this.from = { ...this.params };
+    this.transitionTime = 0;
+    this.transitionDuration = Math.max(0, transitionSeconds);
+    if (this.transitionDuration === 0) {
+      this.params = { ...WEATHER_STATES[state] };
+      this.from = null;
+    }
+
+    console.log(`Weather changing to ${state} over ${this.transitionDuration}s`);
+    return true;
+  }
+
+  // Target state name
+  getWeather() {
+    return this.state;
+  }
+
+  // Progress of the current transition (1 when settled)
+  getTransitionProgress() {
+    return this.from ? this.transitionTime / this.transitionDuration : 1;
+  }
+
+  // Call every frame with the camera the rain is drawn around
+  update(dt, camera) {
+    this.time += dt;
+    this.updateTransition(dt);
+
+    // Wind direction wanders, gusts come and go
+    this.windAngle += Math.sin(this.time * 0.05) * 0.02 * dt;
+    const gust = 1 + 0.3 * Math.sin(this.time * 0.7) + 0.2 * Math.sin(this.time * 1.9 + 1.3);
+    const speed = this.params.windSpeed * gust;
+    this.wind.set(Math.cos(this.windAngle) * speed, 0, Math.sin(this.windAngle) * speed);
+
+    // Clouds
+    this.cloudManager.setCoverage(this.params.cloudCover);
+    this.cloudManager.setDarkness(this.params.overcast * 0.6);
+    this.cloudManager.update(dt, this.wind);
+
+    // Lightning flashes, fading quickly
+    this.flash = Math.max(0, this.flash - dt * 4);
+    if (this.params.lightning > 0 && Math.random() < this.params.lightning * dt) {
+      this.flash = 1.5;
+    }
+
+    if (this.dayNight) {
+      this.dayNight.setAtmosphere({
+        overcast: this.params.overcast,
+        fogScale: this.params.fogScale,
+        flash: this.flash
+      });
+    }
+
+    this.rain.update(dt, camera, this.params.rain, this.wind);
+  }
+
+  // Blend the parameters towards the target state
+  updateTransition(dt) {
+    if (!this.from) return;
+
+    this.transitionTime = Math.min(this.transitionTime + dt, this.transitionDuration);
+    const t = this.transitionTime / this.transitionDuration;
+    const target = WEATHER_STATES[this.state];
+    for (const key of Object.keys(target)) {
+      this.params[key] = this.from[key] + (target[key] - this.from[key]) * t;
+    }
+
+    if (t >= 1) this.from = null;
+  }
+
+  // Push light dynamic bodies towards the wind speed
+  applyWind() {
+    const force = new CANNON.Vec3();
+    for (const body of this.world.bodies) {
+      if (body.type !== CANNON.Body.DYNAMIC || body.mass > this.windMaxMass) continue;
+
+      force.set(
+        (this.wind.x - body.velocity.x) * this.windDrag,
+        0,
+        (this.wind.z - body.velocity.z) * this.windDrag
+      );
+      body.applyForce(force);
+    }
+  }
+
+  dispose() {
+    this.world.removeEventListener('preStep', this.onPreStep);
+    this.rain.dispose();
+    if (this.dayNight) {
+      this.dayNight.setAtmosphere({ overcast: 0, fogScale: 1, flash: 0 });
+    }
+  }
+}
+
+// Rain streaks in a box around the camera. Each drop is one instance of a line segment;
+// the vertex shader moves and wraps them, so the CPU only updates a few uniforms
+class RainParticles {
+  constructor(scene, maxDrops = 6000) {
+    this.scene = scene;
+    this.maxDrops = maxDrops;
+    this.fallSpeed = 30;
+    this.area = new THREE.Vector3(60, 40, 60); // Box around the camera
+
+    const geometry = new THREE.InstancedBufferGeometry();
+    // y = 0 at the head of the streak, 1 at the tail
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0, 0, 1, 0], 3));
+
+    const offsets = new Float32Array(maxDrops * 3);
+    for (let k = 0; k < offsets.length; k++) offsets[k] = Math.random();
+    geometry.setAttribute('offset', new THREE.InstancedBufferAttribute(offsets, 3));
+    geometry.instanceCount = 0;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        center: { value: new THREE.Vector3() },
+        area: { value: this.area },
+        shift: { value: new THREE.Vector3() },
+        direction: { value: new THREE.Vector3(0, -1, 0) },
+        streakLength: { value: 0.8 },
+        color: { value: new THREE.Color(0xAABBCC) },
+        opacity: { value: 0.45 }
+      },
+      vertexShader: `
+        attribute vec3 offset;
+        uniform vec3 center;
+        uniform vec3 area;
+        uniform vec3 shift;
+        uniform vec3 direction;
+        uniform float streakLength;
+
+        void main() {
+          // Drops move through a box that wraps around the camera
+          vec3 p = offset * area + shift;
+          p = mod(p - center + area * 0.5, area) - area * 0.5 + center;
+          p -= direction * position.y * streakLength;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 color;
+        uniform float opacity;
+
+        void main() {
+          gl_FragColor = vec4(color, opacity);
+        }
+      `,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.LineSegments(geometry, this.material);
+    this.mesh.frustumCulled = false; // Always around the camera
+    this.mesh.visible = false;
+    this.scene.add(this.mesh);
+  }
+
+  // amount: share of drops shown (0..1); wind slants and carries the drops
+  update(dt, camera, amount, wind) {
+    const count = Math.round(THREE.MathUtils.clamp(amount, 0, 1) * this.maxDrops);
+    this.mesh.geometry.instanceCount = count;
+    this.mesh.visible = count > 0 && !!camera;
+    if (!this.mesh.visible) return;
+
+    const uniforms = this.material.uniforms;
+    const velocity = new THREE.Vector3(wind.x, -this.fallSpeed, wind.z);
+    uniforms.direction.value.copy(velocity).normalize();
+
+    // Accumulated movement, kept within one box so it stays precise
+    const shift = uniforms.shift.value.addScaledVector(velocity, dt);
+    shift.set(
+      THREE.MathUtils.euclideanModulo(shift.x, this.area.x),
+      THREE.MathUtils.euclideanModulo(shift.y, this.area.y),
+      THREE.MathUtils.euclideanModulo(shift.z, this.area.z)
+    );
+
+    camera.getWorldPosition(uniforms.center.value);
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
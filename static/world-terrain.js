@@ -4,10 +4,24 @@ import * as THREE from '/static/three.module.min.js';
 //import { VertexNormalsHelper } from 'https://unpkg.com/three@0.174.0/examples/jsm/helpers/VertexNormalsHelper.js?module';
 
 import { CloudManager } from './cloud-manager.js'; 
+import { QUALITY_PRESETS } from './graphics-settings.js';
+import { BLOOM_LAYER } from './render-pipeline.js';
+import { Water } from './water.js';
+import { SkyEnvironment } from './sky-environment.js';
+import { DayNightCycle } from './day-night-cycle.js';
+import { WeatherManager } from './weather.js';
+import { SurfaceRegistry } from './surface-registry.js';
+import { loadTerrainRegions, buildHeightGrid } from './terrain-format.js';
+import { TerrainChunkManager } from './terrain-chunks.js';
+import { buildLodTiles, createLodGroup, getTerrainGridCoords, getMountainGridCoords } from './terrain-lod.js';
+import { createTerrainMaterial } from './terrain-material.js';
+import { deformPositions, deformMeshes, deformBody, RegionNormals } from './terrain-deform.js';
 
 export class WorldManager {
-  constructor(scene) {
+  // graphicsSettings: a preset from graphics-settings.js (shadow maps, fog, clouds, LOD)
+  constructor(scene, graphicsSettings = QUALITY_PRESETS.high) {
     this.scene = scene;
+    this.graphicsSettings = graphicsSettings;
     this.world = null;
     this.materials = {
       physics: null,
@@ -22,7 +36,49 @@ export class WorldManager {
     };
     this.sunLight = null;
     this.sunMesh = null;
-    this.cloudManager = new CloudManager(scene);
+    this.dayNight = null; // Moves the sun and sets sky/fog/light colors (see setupLighting)
+    this.weather = null; // Clouds, rain and wind (see initWeather)
+    this.sky = null; // Sky dome/image and its environment map (see setupSky)
+    // ?clouds=N overrides the cloud sphere budget (instances of the one cloud mesh)
+    const cloudBudget = parseInt(new URLSearchParams(window.location.search).get('clouds'), 10);
+    this.cloudBudgetOverride = cloudBudget > 0 ? cloudBudget : null;
+    this.cloudManager = new CloudManager(scene, {
+      budget: this.cloudBudgetOverride || graphicsSettings.cloudBudget
+    });
+
+    // Terrain collision: 'trimesh' or 'heightfield' (the flat region, plus the pit
+    // if heightfieldIncludesPit is set, become CANNON.Heightfields; mountain stays a trimesh)
+    this.terrainPhysicsMode = 'trimesh';
+    this.heightfieldIncludesPit = false;
+    this.terrainBodies = [];
+    this.terrainRegions = null;
+    this.terrainMetadata = null;
+
+    // Smoothed world.step() time in ms for each terrain physics mode (debug panel)
+    this.stepTimes = { trimesh: null, heightfield: null };
+
+    // Streamed terrain chunks around the pit map (see enableTerrainStreaming)
+    this.chunkManager = null;
+
+    // Water in the bottom of the pit (see enableWater)
+    this.water = null;
+
+    // Visual terrain level of detail: regions are cut into tiles of tileSize grid cells,
+    // each a THREE.LOD switching to every step-th row/column beyond the given camera
+    // distance. tileSize must be a multiple of every step. Physics is not affected
+    this.terrainLod = {
+      enabled: true,
+      tileSize: 16,
+      levels: [
+        { step: 1, distance: 0 },
+        { step: 2, distance: 50 },
+        { step: 4, distance: 90 },
+        { step: 8, distance: 140 }
+      ]
+    };
+
+    // Full resolution normals of each region, built on the first deformAt()
+    this.regionNormals = null;
   }
 
   // Initialize the physics world
@@ -49,6 +105,12 @@ export class WorldManager {
     this.materials.pit = new CANNON.Material('pit');
     this.materials.mountain = new CANNON.Material('mountain'); // Add mountain material
     
+    // Surface descriptors for the terrain materials (also used for the player contacts)
+    this.surfaces = new SurfaceRegistry();
+    this.surfaces.registerMaterial(this.materials.flat, 'grass');
+    this.surfaces.registerMaterial(this.materials.pit, 'sand');
+    this.surfaces.registerMaterial(this.materials.mountain, 'rock');
+    
     // Set up material contacts
     this.setupMaterialContacts();
 
@@ -91,26 +153,30 @@ export class WorldManager {
       }
     );
     
-    // Player interaction with different terrains
+    // Player interaction with different terrains - friction/restitution come from the
+    // surface registry so gameplay and physics agree on each surface
+    const grass = this.surfaces.get('grass');
     const physics_flat = new CANNON.ContactMaterial(
       this.materials.physics, this.materials.flat, {
-        friction: 0.5,
-        restitution: 0,
+        friction: grass.friction,
+        restitution: grass.restitution,
       }
     );
     
+    const sand = this.surfaces.get('sand');
     const physics_pit = new CANNON.ContactMaterial(
       this.materials.physics, this.materials.pit, {
-        friction: 0.1,
-        restitution: 0,
+        friction: sand.friction,
+        restitution: sand.restitution,
       }
     );
     
     // Add physics-mountain contact material
+    const rock = this.surfaces.get('rock');
     const physics_mountain = new CANNON.ContactMaterial(
       this.materials.physics, this.materials.mountain, {
-        friction: 0.5,
-        restitution: 0,
+        friction: rock.friction,
+        restitution: rock.restitution,
       }
     );
     
@@ -125,191 +191,71 @@ export class WorldManager {
   }
 
   // Load terrain data and create physics bodies and visual meshes
-  async loadTerrain() {
+  // source: URL of a terrain file (binary container or the original JSON format),
+  // or a metadata-style parameter object (size, resolution, pitRadius, pitDepth,
+  // mountainSeed...) to generate one at runtime
+  // onProgress(fraction, stage): optional loading progress callback (0..1)
+  async loadTerrain(source = '/static/terrain_separate_r128_d18_rad20.bin', onProgress = () => {}) {
     try {
-      const response = await fetch('/static/terrain_separate_r128_d18_rad20.json');
-      if (!response.ok) {
-        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-      }
-      
-      const terrainData = await response.json();
-      console.log("Terrain data loaded, processing with separate vertex arrays...");
+      // Fetching, parsing and region splitting run in a worker (90% of the progress bar)
+      const { metadata, regions } = await this.loadTerrainData(source,
+        (progress, stage) => onProgress(progress * 0.9, stage));
       
-      // Create separate vertex arrays for flat, pit, and mountain parts
-      const flatVertices = [];
-      const pitVertices = [];
-      let mountainVertices = []; // Add mountain vertices array
-      
-      const flatIndicesMap = new Map(); // Maps original vertex index to new flat vertex index
-      const pitIndicesMap = new Map();  // Maps original vertex index to new pit vertex index
-      const mountainIndicesMap = new Map(); // Maps original vertex index to new mountain vertex index
-      
-      // Process flat terrain indices
-      const newFlatIndices = [];
-      
-      for (let i = 0; i < terrainData.flatIndices.length; i += 3) {
-        const i1 = terrainData.flatIndices[i];
-        const i2 = terrainData.flatIndices[i + 1];
-        const i3 = terrainData.flatIndices[i + 2];
-        
-        // For each vertex in this triangle, add it to the flat vertices array if not already added
-        for (const idx of [i1, i2, i3]) {
-          if (!flatIndicesMap.has(idx)) {
-            // Get original vertex position
-            const x = terrainData.vertices[idx * 3];
-            const y = terrainData.vertices[idx * 3 + 1];
-            const z = terrainData.vertices[idx * 3 + 2];
-            
-            // Add to flat vertices array
-            flatVertices.push(x, y, z);
-            flatIndicesMap.set(idx, flatVertices.length / 3 - 1);
-          }
-        }
-        
-        // Add remapped indices to new flat indices array
-        newFlatIndices.push(
-          flatIndicesMap.get(i1),
-          flatIndicesMap.get(i2),
-          flatIndicesMap.get(i3)
-        );
-      }
-      
-      // Process pit terrain indices
-      const newPitIndices = [];
-      
-      for (let i = 0; i < terrainData.pitIndices.length; i += 3) {
-        const i1 = terrainData.pitIndices[i];
-        const i2 = terrainData.pitIndices[i + 1];
-        const i3 = terrainData.pitIndices[i + 2];
-        
-        // For each vertex in this triangle, add it to the pit vertices array if not already added
-        for (const idx of [i1, i2, i3]) {
-          if (!pitIndicesMap.has(idx)) {
-            // Get original vertex position
-            const x = terrainData.vertices[idx * 3];
-            const y = terrainData.vertices[idx * 3 + 1];
-            const z = terrainData.vertices[idx * 3 + 2];
-            
-            // Add to pit vertices array
-            pitVertices.push(x, y, z);
-            pitIndicesMap.set(idx, pitVertices.length / 3 - 1);
-          }
-        }
-        
-        // Add remapped indices to new pit indices array
-        newPitIndices.push(
-          pitIndicesMap.get(i1),
-          pitIndicesMap.get(i2),
-          pitIndicesMap.get(i3)
-        );
-      }
-      
-      // Process mountain terrain indices and handle decimated vertices
-      let newMountainIndices = [];
-      let hasMountainData = false;
-      
-      // Check for decimated mountain vertices and indices first
-      if (terrainData.mountainVertices && terrainData.mountainIndices) {
-        console.log("Loading decimated mountain mesh data");
-        // Directly use the provided decimated vertices and indices
-        mountainVertices = terrainData.mountainVertices;
-        newMountainIndices = terrainData.mountainIndices;
-        hasMountainData = true;
-      }
-      // Fallback to original mountain indices if decimated data is not available
-      else if (terrainData.mountainIndices && terrainData.mountainIndices.length > 0) {
-        console.log("Loading standard mountain mesh data (non-decimated)");
-        
-        for (let i = 0; i < terrainData.mountainIndices.length; i += 3) {
-          const i1 = terrainData.mountainIndices[i];
-          const i2 = terrainData.mountainIndices[i + 1];
-          const i3 = terrainData.mountainIndices[i + 2];
-          
-          // For each vertex in this triangle, add it to the mountain vertices array if not already added
-          for (const idx of [i1, i2, i3]) {
-            if (!mountainIndicesMap.has(idx)) {
-              // Get original vertex position
-              const x = terrainData.vertices[idx * 3];
-              const y = terrainData.vertices[idx * 3 + 1];
-              const z = terrainData.vertices[idx * 3 + 2];
-              
-              // Add to mountain vertices array
-              mountainVertices.push(x, y, z);
-              mountainIndicesMap.set(idx, mountainVertices.length / 3 - 1);
-            }
-          }
-          
-          // Add remapped indices to new mountain indices array
-          newMountainIndices.push(
-            mountainIndicesMap.get(i1),
-            mountainIndicesMap.get(i2),
-            mountainIndicesMap.get(i3)
-          );
-        }
-        
-        hasMountainData = true;
-      }
+      const hasMountainData = regions.hasMountainData;
       
       console.log("Generated separate vertex arrays:");
-      console.log("- Flat: " + flatVertices.length / 3 + " vertices, " + newFlatIndices.length / 3 + " triangles");
-      console.log("- Pit: " + pitVertices.length / 3 + " vertices, " + newPitIndices.length / 3 + " triangles");
+      console.log("- Flat: " + regions.flatVertices.length / 3 + " vertices, " + regions.flatIndices.length / 3 + " triangles");
+      console.log("- Pit: " + regions.pitVertices.length / 3 + " vertices, " + regions.pitIndices.length / 3 + " triangles");
       
       if (hasMountainData) {
-        console.log("- Mountain: " + mountainVertices.length / 3 + " vertices, " + newMountainIndices.length / 3 + " triangles");
+        console.log("- Mountain: " + regions.mountainVertices.length / 3 + " vertices, " + regions.mountainIndices.length / 3 + " triangles");
         
         // Log additional mountain metadata
-        if (terrainData.metadata) {
+        if (metadata) {
           console.log("- Mountain Y Decimation: " + 
-            (terrainData.metadata.mountainYDecimation || "Not specified"));
+            (metadata.mountainYDecimation || "Not specified"));
           console.log("- Mountain Base Z Noise: " + 
-            (terrainData.metadata.baseZNoiseAmount || "Not specified"));
+            (metadata.baseZNoiseAmount || "Not specified"));
         }
       } else {
         console.log("- Mountain: No mountain data found in terrain file");
       }
       
+      // Keep the regions so physics can be rebuilt (e.g. switching to heightfields)
+      this.terrainRegions = regions;
+      this.terrainMetadata = metadata;
+      
       // Create physics bodies using separate vertex arrays
-      this.createTerrainPhysics({
-        flatVertices,
-        flatIndices: newFlatIndices,
-        pitVertices,
-        pitIndices: newPitIndices,
-        mountainVertices,
-        mountainIndices: newMountainIndices,
-        hasMountainData
-      });
+      onProgress(0.9, 'physics');
+      await this.nextFrame(); // Let the loading screen repaint
+      this.createTerrainPhysics(regions);
       
       // Create visual representation using separate vertex arrays
-      this.createTerrainVisuals({
-        flatVertices,
-        flatIndices: newFlatIndices,
-        pitVertices,
-        pitIndices: newPitIndices,
-        mountainVertices,
-        mountainIndices: newMountainIndices,
-        hasMountainData
-      });
+      onProgress(0.95, 'visuals');
+      await this.nextFrame();
+      this.createTerrainVisuals(regions);
       
       // Store mountain parameters from metadata if available
-      if (terrainData.metadata && terrainData.metadata.mountainEnabled) {
+      if (metadata && metadata.mountainEnabled) {
         this.mountainParameters = {
-          enabled: terrainData.metadata.mountainEnabled,
-          roughness: terrainData.metadata.mountainRoughness,
-          height: terrainData.metadata.mountainHeight,
-          width: terrainData.metadata.mountainWidth,
-          position: terrainData.metadata.mountainPosition,
-          detail: terrainData.metadata.mountainDetail,
-          seed: terrainData.metadata.mountainSeed,
-          yDecimation: terrainData.metadata.mountainYDecimation || 1,
-          baseZNoise: terrainData.metadata.baseZNoiseAmount || 0
+          enabled: metadata.mountainEnabled,
+          roughness: metadata.mountainRoughness,
+          height: metadata.mountainHeight,
+          width: metadata.mountainWidth,
+          position: metadata.mountainPosition,
+          detail: metadata.mountainDetail,
+          seed: metadata.mountainSeed,
+          yDecimation: metadata.mountainYDecimation || 1,
+          baseZNoise: metadata.baseZNoiseAmount || 0
         };
         console.log("Mountain parameters loaded:", this.mountainParameters);
 
         // Generate clouds based on terrain size and mountain position
-        const terrainSize = terrainData.metadata.size || 150;
+        const terrainSize = metadata.size || 150;
         this.initClouds(terrainSize, this.mountainParameters.position);
       }
       
+      onProgress(1, 'done');
       console.log("Terrain setup complete with separate vertex arrays");
       return true;
     } catch (error) {
@@ -318,6 +264,82 @@ export class WorldManager {
     }
   }
 
+  // Load and split terrain data in a Web Worker, resolving to { metadata, regions }
+  // Falls back to the main thread if module workers are unavailable
+  loadTerrainData(source, onProgress) {
+    // Resolve relative URLs against the page, not the worker script
+    if (typeof source === 'string') {
+      source = new URL(source, window.location.href).href;
+    }
+
+    if (typeof Worker === 'undefined') {
+      console.log("Web Workers not available, loading terrain on the main thread");
+      return loadTerrainRegions(source, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./terrain-worker.js', import.meta.url), { type: 'module' });
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'progress') {
+          onProgress(message.progress, message.stage);
+        } else if (message.type === 'result') {
+          worker.terminate();
+          console.log("Terrain data processed in worker");
+          resolve({ metadata: message.metadata, regions: message.regions });
+        } else if (message.type === 'error') {
+          worker.terminate();
+          reject(new Error(message.message));
+        }
+      };
+
+      // Worker script failed to load/run - retry on the main thread
+      worker.onerror = (event) => {
+        worker.terminate();
+        console.warn("Terrain worker failed, loading terrain on the main thread:", event.message);
+        event.preventDefault();
+        loadTerrainRegions(source, onProgress).then(resolve, reject);
+      };
+
+      worker.postMessage({ source });
+    });
+  }
+
+  // Resolve on the next animation frame (gives the browser a chance to repaint)
+  nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+  }
+
+  // Pick the terrain source from the ?terrain= URL parameter (alongside portal/ref)
+  // ?terrain=<seed> or ?terrain=random loads a generated terrain from /api/terrain,
+  // forwarding any pitRadius, pitDepth and resolution parameters
+  getTerrainSource() {
+    const defaultTerrain = '/static/terrain_separate_r128_d18_rad20.bin';
+    const urlParams = new URLSearchParams(window.location.search);
+    const terrain = urlParams.get('terrain');
+
+    if (!terrain) return defaultTerrain;
+
+    let seed = parseFloat(terrain);
+    if (terrain === 'random') {
+      seed = Math.floor(Math.random() * 100000);
+    } else if (isNaN(seed)) {
+      console.warn("Unknown terrain parameter, using default terrain:", terrain);
+      return defaultTerrain;
+    }
+
+    const apiParams = new URLSearchParams({ seed: seed, format: 'bin' });
+    for (const name of ['pitRadius', 'pitDepth', 'resolution']) {
+      if (urlParams.has(name)) {
+        apiParams.set(name, urlParams.get(name));
+      }
+    }
+
+    return '/api/terrain?' + apiParams.toString();
+  }
+
   
 // Add this new method to initialize clouds
   initClouds(terrainSize, mountainPosition) {
@@ -329,34 +351,55 @@ export class WorldManager {
 
   // Create terrain physics bodies
   createTerrainPhysics(terrainData) {
-    // Create the flat terrain part with its own vertices
-    console.log("Creating flat terrain trimesh with separate vertex array");
-    const flatShape = new CANNON.Trimesh(
-      terrainData.flatVertices,
-      terrainData.flatIndices
-    );
+    // Remove bodies from a previous build (e.g. after switching physics mode)
+    this.removeTerrainPhysics();
     
-    const flatBody = new CANNON.Body({
-      mass: 0,
-      material: this.materials.flat
-    });
-    flatBody.addShape(flatShape);
+    const useHeightfield = this.terrainPhysicsMode === 'heightfield' && this.terrainMetadata;
+    const floorHeight = useHeightfield ? this.getTerrainMinHeight(terrainData) : 0;
+    
+    // Create the flat terrain part with its own vertices
+    let flatBody;
+    if (useHeightfield) {
+      console.log("Creating flat terrain heightfield from terrain grid");
+      flatBody = this.createHeightfieldBody(terrainData.flatVertices, this.materials.flat, floorHeight);
+    } else {
+      console.log("Creating flat terrain trimesh with separate vertex array");
+      const flatShape = new CANNON.Trimesh(
+        terrainData.flatVertices,
+        terrainData.flatIndices
+      );
+      
+      flatBody = new CANNON.Body({
+        mass: 0,
+        material: this.materials.flat
+      });
+      flatBody.addShape(flatShape);
 
-    flatBody.position.set(0, this.terrainYOffset, 0);
-    this.world.addBody(flatBody);
+      flatBody.position.set(0, this.terrainYOffset, 0);
+    }
+    this.flatBody = flatBody;
+    this.addTerrainBody(flatBody);
     
     // Create the pit terrain part with its own vertices
-    console.log("Creating pit terrain trimesh with separate vertex array");
-    const pitShape = new CANNON.Trimesh(
-      terrainData.pitVertices,
-      terrainData.pitIndices
-    );
-    
-    const pitBody = new CANNON.Body({
-      mass: 0,
-      material: this.materials.pit
-    });
-    pitBody.addShape(pitShape);
+    let pitBody;
+    if (useHeightfield && this.heightfieldIncludesPit) {
+      console.log("Creating pit terrain heightfield from terrain grid");
+      pitBody = this.createHeightfieldBody(terrainData.pitVertices, this.materials.pit, floorHeight);
+    } else {
+      console.log("Creating pit terrain trimesh with separate vertex array");
+      const pitShape = new CANNON.Trimesh(
+        terrainData.pitVertices,
+        terrainData.pitIndices
+      );
+      
+      pitBody = new CANNON.Body({
+        mass: 0,
+        material: this.materials.pit
+      });
+      pitBody.addShape(pitShape);
+
+      pitBody.position.set(0, this.terrainYOffset, 0);
+    }
 
     // Add debug collision detection for the pit
     if (window.physicsDebugger) {
@@ -365,8 +408,7 @@ export class WorldManager {
       this.setupCollisionEvents();
     }
 
-    pitBody.position.set(0, this.terrainYOffset, 0);
-    this.world.addBody(pitBody);
+    this.addTerrainBody(pitBody);
     
     // Create the mountain terrain part if data is available
     if (terrainData.hasMountainData && terrainData.mountainIndices.length > 0) {
@@ -388,49 +430,233 @@ export class WorldManager {
       this.mountainBody = mountainBody;
       
       mountainBody.position.set(0, this.terrainYOffset, 0);
-      this.world.addBody(mountainBody);
+      this.addTerrainBody(mountainBody);
       
       console.log("Mountain physics body created");
     }
   }
 
+  // Add a static terrain body to the world and remember it for rebuilding
+  addTerrainBody(body) {
+    this.world.addBody(body);
+    this.terrainBodies.push(body);
+  }
+
+  // Remove all terrain bodies created by createTerrainPhysics()
+  removeTerrainPhysics() {
+    for (const body of this.terrainBodies) {
+      this.world.removeBody(body);
+    }
+    this.terrainBodies = [];
+  }
+
+  // Lowest vertex height of all terrain regions
+  getTerrainMinHeight(terrainData) {
+    let minHeight = Infinity;
+    for (const vertices of [terrainData.flatVertices, terrainData.pitVertices, terrainData.mountainVertices]) {
+      if (!vertices) continue;
+      for (let v = 1; v < vertices.length; v += 3) {
+        minHeight = Math.min(minHeight, vertices[v]);
+      }
+    }
+    return minHeight;
+  }
+
+  // Build a CANNON.Heightfield body from a region's vertices, snapped onto the terrain grid.
+  // The heightfield covers the region's bounding rectangle; grid points the region doesn't
+  // use (pit interior, mountain columns) are dropped below floorHeight (the lowest point of
+  // the whole terrain), so every triangle that isn't part of the region sinks under the
+  // neighbouring body instead of covering it.
+  createHeightfieldBody(vertices, material, floorHeight) {
+    const { size, resolution } = this.terrainMetadata;
+    const spacing = size / (resolution - 1);
+    const halfSize = size / 2;
+    
+    const grid = new Float32Array(resolution * resolution).fill(NaN);
+    let iMin = resolution, iMax = 0, jMin = resolution, jMax = 0;
+    
+    for (let v = 0; v < vertices.length; v += 3) {
+      const i = Math.round((vertices[v] + halfSize) / spacing);
+      const j = Math.round((vertices[v + 2] + halfSize) / spacing);
+      if (i < 0 || j < 0 || i >= resolution || j >= resolution) continue;
+      
+      grid[j * resolution + i] = vertices[v + 1];
+      iMin = Math.min(iMin, i);
+      iMax = Math.max(iMax, i);
+      jMin = Math.min(jMin, j);
+      jMax = Math.max(jMax, j);
+    }
+    
+    const droppedHeight = floorHeight - 5;
+
+    // cannon-es clamps heightfield raycasts to data.length on both axes, so keep the
+    // sample rectangle square by growing the shorter side with dropped samples
+    while (iMax - iMin < jMax - jMin) {
+      if (iMin > 0) iMin--; else iMax++;
+    }
+    while (jMax - jMin < iMax - iMin) {
+      if (jMin > 0) jMin--; else jMax++;
+    }
+
+    // Heightfield data is indexed [x][y]; its local +y runs along world -z once rotated,
+    // which also makes its cell diagonals match the terrain triangles
+    const data = [];
+    for (let i = iMin; i <= iMax; i++) {
+      const column = [];
+      for (let j = jMax; j >= jMin; j--) {
+        const height = grid[j * resolution + i];
+        column.push(Number.isNaN(height) ? droppedHeight : height);
+      }
+      data.push(column);
+    }
+    
+    const shape = new CANNON.Heightfield(data, { elementSize: spacing });
+    const body = new CANNON.Body({ mass: 0, material: material });
+    body.addShape(shape);
+    
+    // Heightfield heights are along local z - rotate so they point up
+    body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    body.position.set(-halfSize + iMin * spacing, this.terrainYOffset, -halfSize + jMax * spacing);
+    
+    console.log(`Heightfield created: ${data.length}x${data[0].length} samples`);
+    return body;
+  }
+
+  // Switch terrain collision between 'trimesh' and 'heightfield' and rebuild the bodies
+  setTerrainPhysicsMode(mode, includePit = this.heightfieldIncludesPit) {
+    this.terrainPhysicsMode = mode;
+    this.heightfieldIncludesPit = includePit;
+    
+    if (this.terrainRegions) {
+      this.createTerrainPhysics(this.terrainRegions);
+      console.log("Terrain physics mode:", mode, includePit ? "(with pit)" : "");
+    }
+  }
+
+  // Stream terrain chunks around the pit map so the world extends past its edges
+  // options: viewDistance (chunk radius), maxLoadsPerUpdate
+  enableTerrainStreaming(options = {}) {
+    if (!this.terrainMetadata) {
+      console.warn("Terrain streaming needs loaded terrain metadata");
+      return null;
+    }
+    
+    this.disableTerrainStreaming();
+    this.chunkManager = new TerrainChunkManager(this.scene, this.world, this.terrainMetadata, this.terrainRegions, {
+      ...options,
+      yOffset: this.terrainYOffset,
+      physicsMaterial: this.materials.flat,
+      material: this.terrainMaterials ? this.terrainMaterials.ground : null
+    });
+    
+    console.log("Terrain streaming enabled, view distance:", this.chunkManager.viewDistance);
+    return this.chunkManager;
+  }
+
+  // Remove all streamed chunks
+  disableTerrainStreaming() {
+    if (this.chunkManager) {
+      this.chunkManager.dispose();
+      this.chunkManager = null;
+    }
+  }
+
+  // Load/unload chunks around a position - call every frame with the player's position
+  updateTerrainStreaming(position) {
+    if (this.chunkManager) {
+      this.chunkManager.update(position);
+    }
+  }
+
+  // Chunk view distance from the ?chunks=<n> URL parameter (null = streaming off)
+  getChunkViewDistance() {
+    const chunks = new URLSearchParams(window.location.search).get('chunks');
+    if (chunks === null) return null;
+    
+    const viewDistance = parseInt(chunks, 10);
+    return Number.isNaN(viewDistance) ? 1 : Math.max(1, viewDistance);
+  }
+
+  // Where the pit is in the world: { center (Vector3 at ground level), radius, depth,
+  // floor (height of its lowest point) }, or null before the terrain metadata loaded
+  getPit() {
+    if (!this.terrainMetadata) return null;
+
+    const { pitCenter = { x: 0, z: 0 }, pitRadius, pitDepth } = this.terrainMetadata;
+    return {
+      center: new THREE.Vector3(pitCenter.x, this.terrainYOffset, pitCenter.z),
+      radius: pitRadius,
+      depth: pitDepth,
+      floor: this.terrainYOffset - pitDepth
+    };
+  }
+
+  // Fill the pit with water up to depth units above its floor
+  // options: buoyancy, drag (see Water)
+  enableWater(depth, options = {}) {
+    if (!this.terrainMetadata) {
+      console.warn("Water needs loaded terrain metadata");
+      return null;
+    }
+    
+    const { pitCenter = { x: 0, z: 0 }, pitRadius, pitDepth } = this.terrainMetadata;
+    // Keep the surface below the rim so it stays inside the pit
+    const waterDepth = THREE.MathUtils.clamp(depth, 0.5, pitDepth - 0.5);
+    
+    this.disableWater();
+    this.water = new Water(this.scene, this.world, {
+      ...options,
+      center: new THREE.Vector3(pitCenter.x, 0, pitCenter.z),
+      // Beyond the shore the disc is under the ground around the pit
+      radius: pitRadius * 1.1,
+      level: this.terrainYOffset - pitDepth + waterDepth
+    });
+    
+    console.log("Water enabled, depth:", waterDepth, "level:", this.water.level);
+    return this.water;
+  }
+
+  // Drain the pit
+  disableWater() {
+    if (this.water) {
+      this.water.dispose();
+      this.water = null;
+    }
+  }
+
+  // Animate the water surface - call every frame
+  updateWater(dt) {
+    if (this.water) {
+      this.water.update(dt);
+    }
+  }
+
+  // Water depth from the ?water=<depth> URL parameter (null = no water)
+  getWaterDepth() {
+    const water = new URLSearchParams(window.location.search).get('water');
+    if (water === null) return null;
+    
+    const depth = parseFloat(water);
+    return Number.isNaN(depth) ? 8 : depth;
+  }
+
   // Create visual meshes for terrain
   createTerrainVisuals(terrainData) {
     console.log("Creating terrain visual meshes with separate vertex arrays");
     
-    // Materials for terrain
-    const flatMaterial = new THREE.MeshLambertMaterial({ color: 0x4CAF50 });
-    const pitMaterial = new THREE.MeshLambertMaterial({ color: 0xE6C78F });
-    //const mountainMaterial = new THREE.MeshLambertMaterial({ color: 0x9D711B }); // Brown color for mountain
-    
-const mountainMaterial = new THREE.MeshPhongMaterial({ 
-  color: 0x826B40,  //0x9D711B,
-  shininess: 3,
-  flatShading: true 
-}); // Changed to Phong material with flatShading
-
-    // Create geometries using separate vertex arrays
-    const flatGeometry = new THREE.BufferGeometry();
-    flatGeometry.setAttribute('position', 
-      new THREE.Float32BufferAttribute(terrainData.flatVertices, 3));
-    flatGeometry.setIndex(terrainData.flatIndices);
-    flatGeometry.computeVertexNormals();
-    
-    const pitGeometry = new THREE.BufferGeometry();
-    pitGeometry.setAttribute('position', 
-      new THREE.Float32BufferAttribute(terrainData.pitVertices, 3));
-    pitGeometry.setIndex(terrainData.pitIndices);
-    pitGeometry.computeVertexNormals();
-    
-    // Create meshes with materials
-    this.terrainMeshes.flat = new THREE.Mesh(flatGeometry, flatMaterial);
-    this.terrainMeshes.pit = new THREE.Mesh(pitGeometry, pitMaterial);
-    
-    // Setup shadows
-    this.terrainMeshes.flat.castShadow = true;
-    this.terrainMeshes.flat.receiveShadow = true;
-    this.terrainMeshes.pit.castShadow = true;
-    this.terrainMeshes.pit.receiveShadow = true;
+    // Splat-mapped terrain materials - grass/sand/rock/dirt blended by the per-vertex
+    // weights in the terrain file, so the pit walls get rock without extra regions
+    const groundMaterial = createTerrainMaterial();
+    const mountainMaterial = createTerrainMaterial({ flatShading: true });
+    this.terrainMaterials = { ground: groundMaterial, mountain: mountainMaterial };
+
+    // Flat and pit are decimated with the same anchors so they still meet without gaps
+    const lodRegions = this.terrainLod.enabled ? this.getLodRegions(terrainData) : {};
+    
+    this.terrainMeshes.flat = this.createRegionMesh(terrainData.flatVertices, terrainData.flatIndices,
+      terrainData.flatSplat, groundMaterial, lodRegions.flat);
+    this.terrainMeshes.pit = this.createRegionMesh(terrainData.pitVertices, terrainData.pitIndices,
+      terrainData.pitSplat, groundMaterial, lodRegions.pit);
     
     // Add to scene
     this.terrainMeshes.flat.position.y = this.terrainYOffset;
@@ -440,15 +666,8 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
     
     // Create mountain mesh if data is available
     if (terrainData.hasMountainData && terrainData.mountainIndices.length > 0) {
-      const mountainGeometry = new THREE.BufferGeometry();
-      mountainGeometry.setAttribute('position', 
-        new THREE.Float32BufferAttribute(terrainData.mountainVertices, 3));
-      mountainGeometry.setIndex(terrainData.mountainIndices);
-      mountainGeometry.computeVertexNormals();
-      
-      this.terrainMeshes.mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
-      this.terrainMeshes.mountain.castShadow = true;
-      this.terrainMeshes.mountain.receiveShadow = true;
+      this.terrainMeshes.mountain = this.createRegionMesh(terrainData.mountainVertices,
+        terrainData.mountainIndices, terrainData.mountainSplat, mountainMaterial, lodRegions.mountain);
       
       this.terrainMeshes.mountain.position.y = this.terrainYOffset;
       this.scene.add(this.terrainMeshes.mountain);
@@ -457,8 +676,143 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
     }
   }
 
+  // Full resolution mesh for a region, or a group of LOD tiles if lodRegion is given
+  // splat: 4 uint8 splat weights per vertex for the terrain material
+  createRegionMesh(vertices, indices, splat, material, lodRegion) {
+    if (lodRegion) {
+      const attributes = { splat: { array: splat, itemSize: 4, normalized: true } };
+      const tiles = buildLodTiles({ vertices, indices, attributes, ...lodRegion.grid }, {
+        tileSize: this.terrainLod.tileSize,
+        steps: this.terrainLod.levels.map(level => level.step),
+        ...lodRegion.options
+      });
+      
+      const triangles = this.terrainLod.levels.map((level, n) =>
+        tiles.reduce((sum, tile) => sum + tile.levels[n].indices.length / 3, 0));
+      console.log(`Terrain LOD: ${tiles.length} tiles, triangles per level: ${triangles.join(' / ')}`);
+      
+      return createLodGroup(tiles, material, this.getLodDistances(), attributes);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setAttribute('splat', new THREE.BufferAttribute(splat, 4, true));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeVertexNormals();
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+  }
+
+  // LOD switch distances scaled by the graphics quality
+  getLodDistances() {
+    return this.terrainLod.levels.map(level => level.distance * this.graphicsSettings.lodDistanceScale);
+  }
+
+  // Grid layout of each region for the LOD builder
+  getLodRegions(terrainData) {
+    const { size, resolution } = this.terrainMetadata || {};
+    if (!size || !resolution) return {};
+    
+    const spacing = size / (resolution - 1);
+    const flatGrid = getTerrainGridCoords(terrainData.flatVertices, size, resolution);
+    const pitGrid = getTerrainGridCoords(terrainData.pitVertices, size, resolution);
+    
+    // Keep the outer rows/columns of flat + pit (the map edges and the mountain seam) in place
+    let iMin = resolution, iMax = 0, jMin = resolution, jMax = 0;
+    for (const { coords } of [flatGrid, pitGrid]) {
+      for (let k = 0; k < coords.length; k += 2) {
+        iMin = Math.min(iMin, coords[k]);
+        iMax = Math.max(iMax, coords[k]);
+        jMin = Math.min(jMin, coords[k + 1]);
+        jMax = Math.max(jMax, coords[k + 1]);
+      }
+    }
+    
+    // Grid points one region doesn't have come from the surface of the others
+    let heights = null;
+    const positionAt = (i, j) => {
+      heights = heights || buildHeightGrid(terrainData, size, resolution);
+      return [-size / 2 + i * spacing, heights[j * resolution + i], -size / 2 + j * spacing];
+    };
+    
+    const options = { pinnedColumns: [iMin, iMax], pinnedRows: [jMin, jMax] };
+    const lodRegions = {
+      flat: { grid: { ...flatGrid, positionAt }, options },
+      pit: { grid: { ...pitGrid, positionAt }, options }
+    };
+    
+    if (terrainData.hasMountainData) {
+      const mountainGrid = getMountainGridCoords(terrainData.mountainVertices, terrainData.mountainIndices);
+      if (mountainGrid) {
+        lodRegions.mountain = { grid: mountainGrid, options: {} };
+      } else {
+        console.warn("Mountain mesh is not a regular grid, rendering it without LOD");
+      }
+    }
+    
+    return lodRegions;
+  }
+
+  // Dig a crater into the terrain: every terrain point within radius (horizontal distance)
+  // of point is lowered by up to depth, easing out towards the rim. Edits the region data
+  // (so rebuilt physics keeps the crater), the visual meshes and the physics bodies.
+  // Streamed chunks are not deformed. Returns true if any terrain changed
+  deformAt(point, radius, depth) {
+    if (!this.terrainRegions || radius <= 0 || depth === 0) return false;
+    
+    const crater = { x: point.x, z: point.z, radius: radius, depth: depth };
+    const regions = this.terrainRegions;
+    const { size, resolution } = this.terrainMetadata;
+    
+    // Normals change one grid cell (of the coarsest LOD level) beyond the crater
+    const maxStep = Math.max(1, ...this.terrainLod.levels.map(level => level.step));
+    const normalMargin = size / (resolution - 1) * maxStep;
+    
+    if (!this.regionNormals) {
+      this.regionNormals = {};
+    }
+    
+    let changed = false;
+    for (const region of ['flat', 'pit', 'mountain']) {
+      const vertices = regions[region + 'Vertices'];
+      if (!vertices || !regions[region + 'Indices']) continue;
+      
+      if (deformPositions(vertices, 0, 0, crater).length > 0) {
+        changed = true;
+        if (this.regionNormals[region]) {
+          this.regionNormals[region].update();
+        } else {
+          this.regionNormals[region] = new RegionNormals(vertices, regions[region + 'Indices']);
+        }
+      }
+      
+      // LOD levels can have points from neighbouring regions, so check the meshes either way
+      if (this.terrainMeshes[region]) {
+        deformMeshes(this.terrainMeshes[region], crater, this.regionNormals[region], normalMargin);
+      }
+    }
+    
+    for (const body of this.terrainBodies) {
+      changed = deformBody(body, crater) || changed;
+    }
+    
+    return changed;
+  }
+
+  // True for the pit map's terrain bodies (the ones deformAt() edits)
+  isTerrainBody(body) {
+    return this.terrainBodies.includes(body);
+  }
+
   // Add this method to handle collision events
   setupCollisionEvents() {
+    // Only register once - terrain physics can be rebuilt
+    if (this.collisionEventsSetup) return;
+    this.collisionEventsSetup = true;
+    
     // Add world collision event listener
     this.world.addEventListener('beginContact', (event) => {
       if (!window.physicsDebugger || !window.physicsDebugger.enabled) return;
@@ -513,18 +867,20 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
     // Ambient light
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.99);
     this.scene.add(ambientLight);
+    this.ambientLight = ambientLight;
 
     // Spotlight
     const spotlight = new THREE.SpotLight(0xffffff, 0.9, 0, Math.PI / 4, 1);
     spotlight.position.set(10, 30, 20);
     spotlight.target.position.set(0, 0, 0);
-    spotlight.castShadow = true;
+    spotlight.castShadow = this.graphicsSettings.spotlightShadows;
     spotlight.shadow.camera.near = 10;
     spotlight.shadow.camera.far = 100;
     spotlight.shadow.camera.fov = 30;
-    spotlight.shadow.mapSize.width = 2048;
-    spotlight.shadow.mapSize.height = 2048;
+    spotlight.shadow.mapSize.width = this.graphicsSettings.shadowMapSize;
+    spotlight.shadow.mapSize.height = this.graphicsSettings.shadowMapSize;
     this.scene.add(spotlight);
+    this.spotlight = spotlight;
     
     // Calculate new sun position (twice as far but same angle)
     const oldSunPos = new THREE.Vector3(50, 80, 50);
@@ -541,8 +897,8 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
     targetObject.position.set(0, 0, 0);
     this.sunLight.target = targetObject;
     
-    this.sunLight.shadow.mapSize.width = 2048;
-    this.sunLight.shadow.mapSize.height = 2048;
+    this.sunLight.shadow.mapSize.width = this.graphicsSettings.shadowMapSize;
+    this.sunLight.shadow.mapSize.height = this.graphicsSettings.shadowMapSize;
     
     // Adjust shadow camera params for the increased distance
     this.sunLight.shadow.camera.near = 1;
@@ -559,10 +915,150 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
     const sunMaterial = new THREE.MeshBasicMaterial({ color: 0xffffaa });
     this.sunMesh = new THREE.Mesh(sunGeometry, sunMaterial);
     this.sunMesh.position.copy(this.sunLight.position);
+    this.sunMesh.layers.enable(BLOOM_LAYER);
     this.scene.add(this.sunMesh);
     
     // Log the new sun position
     console.log("Sun moved to position:", newSunPos);
+    
+    // Time of day - the sun above is where it stands at noon
+    this.dayNight = new DayNightCycle(this.scene, {
+      sunLight: this.sunLight,
+      sunMesh: this.sunMesh,
+      ambientLight: ambientLight,
+      fillLight: spotlight
+    }, { ...this.getTimeOfDayOptions(), fogDensityScale: this.graphicsSettings.fogScale });
+  }
+
+  // Switch to another graphics preset at runtime: shadow maps, fog, cloud budget and
+  // terrain LOD distances. Renderer settings are applied by GraphicsSettings
+  applyGraphicsSettings(settings) {
+    this.graphicsSettings = settings;
+
+    // Shadow maps are reallocated on the next render
+    for (const light of [this.sunLight, this.spotlight]) {
+      if (!light) continue;
+      light.shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+      if (light.shadow.map) {
+        light.shadow.map.dispose();
+        light.shadow.map = null;
+      }
+    }
+    if (this.spotlight) {
+      this.spotlight.castShadow = settings.spotlightShadows;
+    }
+
+    if (this.dayNight) {
+      this.dayNight.fogDensityScale = settings.fogScale;
+      this.dayNight.apply();
+    }
+
+    this.cloudManager.setBudget(this.cloudBudgetOverride || settings.cloudBudget);
+
+    const distances = this.getLodDistances();
+    for (const mesh of Object.values(this.terrainMeshes)) {
+      if (!mesh) continue;
+      mesh.traverse(object => {
+        if (!object.isLOD) return;
+        object.levels.forEach((level, n) => {
+          level.distance = distances[n] || 0;
+        });
+      });
+    }
+  }
+
+  // Day/night options from the URL: ?time=<hour 0-24> sets the starting time,
+  // ?dayLength=<seconds> the length of a full day (0 stops the clock)
+  getTimeOfDayOptions() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const options = {};
+    
+    const hour = parseFloat(urlParams.get('time'));
+    if (!Number.isNaN(hour)) {
+      options.timeOfDay = hour / 24;
+    }
+    
+    const dayLength = parseFloat(urlParams.get('dayLength'));
+    if (dayLength === 0) {
+      options.paused = true;
+    } else if (dayLength > 0) {
+      options.dayLength = dayLength;
+    }
+    
+    return options;
+  }
+
+  // Advance the time of day - call every frame
+  updateTimeOfDay(dt) {
+    if (this.dayNight) {
+      this.dayNight.update(dt);
+    }
+  }
+
+  // Start the weather system (after physics, lighting and clouds are set up)
+  // The starting state comes from ?weather=<clear|overcast|rain|storm>
+  initWeather() {
+    const state = new URLSearchParams(window.location.search).get('weather') || 'clear';
+    this.weather = new WeatherManager(this.scene, this.world, this.cloudManager, this.dayNight, state);
+    console.log("Weather initialized:", this.weather.getWeather());
+    return this.weather;
+  }
+
+  // Change the weather (clear, overcast, rain, storm), blending over transitionSeconds
+  setWeather(state, transitionSeconds = 10) {
+    return this.weather ? this.weather.setWeather(state, transitionSeconds) : false;
+  }
+
+  // Update clouds, rain and wind - call every frame
+  updateWeather(dt, camera) {
+    if (this.weather) {
+      this.weather.update(dt, camera);
+    }
+  }
+
+  // Sky and environment map (after setupLighting, so a procedural sky follows the sun)
+  // source: 'procedural', 'none' (flat sky color, no environment map) or the URL of
+  // an equirectangular image; defaults to ?sky=<procedural|none|url>
+  setupSky(renderer, source = this.getSkySource()) {
+    if (this.sky) {
+      this.sky.dispose();
+      this.sky = null;
+    }
+    if (source === 'none') {
+      console.log("Sky: flat color");
+      return null;
+    }
+
+    this.sky = new SkyEnvironment(renderer, this.scene, source, {
+      sunLight: this.sunLight,
+      dayNight: this.dayNight
+    });
+    console.log("Sky:", source);
+    return this.sky;
+  }
+
+  getSkySource() {
+    return new URLSearchParams(window.location.search).get('sky') || 'procedural';
+  }
+
+  // Move the sky with the camera and refresh the environment map as the sky changes -
+  // call every frame after updateTimeOfDay
+  updateSky(dt, camera) {
+    if (this.sky) {
+      this.sky.update(dt, camera);
+    }
+  }
+
+  // PMREM environment map of the sky (null without a sky or until it is ready)
+  getEnvironmentMap() {
+    return this.sky ? this.sky.getEnvironmentMap() : null;
+  }
+
+  // Call callback(envMap) with the environment map now and whenever it changes
+  onEnvironmentChange(callback) {
+    if (this.sky) {
+      this.sky.addListener(callback);
+    }
   }
 
   // Get the physics world
@@ -578,7 +1074,13 @@ const mountainMaterial = new THREE.MeshPhongMaterial({
   // Step the physics world
   step(timeStep, dt) {
     if (this.world) {
+      const start = performance.now();
       this.world.step(timeStep, dt);
+      const elapsed = performance.now() - start;
+      
+      // Exponential moving average per terrain physics mode
+      const previous = this.stepTimes[this.terrainPhysicsMode];
+      this.stepTimes[this.terrainPhysicsMode] = previous === null ? elapsed : previous * 0.95 + elapsed * 0.05;
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,125 @@
+# terrain_binary.py
+# Converts terrain JSON (baked files or TerrainGenerator output) into the binary
+# container read by static/terrain-format.js. The regions are split and remapped
+# here once, so the client only has to create typed-array views.
+#
+# Usage: python terrain_binary.py static/terrain_separate_r128_d18_rad20.json [output.bin]
+import json
+import struct
+import sys
+from array import array
+
+from terrain_generator import compute_splat_weights
+
+MAGIC = b"BPTR"
+VERSION = 1
+
+
+# Section types by name suffix
+SECTION_TYPES = {"Vertices": ("f", "float32"), "Indices": ("I", "uint32"), "Splat": ("B", "uint8")}
+
+
+# Copy only the vertices (and splat weights) used by a region, in first-use order,
+# and remap its indices
+def remap_region(vertices, indices, splat=None):
+    remap = {}
+    region_vertices = []
+    region_indices = []
+    region_splat = []
+
+    for idx in indices:
+        if idx not in remap:
+            remap[idx] = len(region_vertices) // 3
+            region_vertices.extend(vertices[idx * 3:idx * 3 + 3])
+            if splat:
+                region_splat.extend(splat[idx * 4:idx * 4 + 4])
+        region_indices.append(remap[idx])
+
+    return region_vertices, region_indices, region_splat
+
+
+# Split the JSON format's shared vertex array into separate per-region arrays
+def split_terrain_regions(terrain_data):
+    vertices = terrain_data["vertices"]
+    # Baked files predate splat weights - compute them over the shared grid
+    splat = terrain_data.get("splatWeights") or compute_splat_weights(
+        vertices, [terrain_data.get("flatIndices", []), terrain_data.get("pitIndices", [])])
+    regions = {}
+
+    for name in ("flat", "pit"):
+        region_vertices, region_indices, region_splat = remap_region(
+            vertices, terrain_data.get(name + "Indices", []), splat)
+        regions[name + "Vertices"] = region_vertices
+        regions[name + "Indices"] = region_indices
+        regions[name + "Splat"] = region_splat
+
+    # Decimated mountain data already has its own vertex array
+    if terrain_data.get("mountainVertices") and terrain_data.get("mountainIndices"):
+        regions["mountainVertices"] = terrain_data["mountainVertices"]
+        regions["mountainIndices"] = terrain_data["mountainIndices"]
+        regions["mountainSplat"] = terrain_data.get("mountainSplatWeights") or compute_splat_weights(
+            terrain_data["mountainVertices"], [terrain_data["mountainIndices"]])
+    else:
+        region_vertices, region_indices, region_splat = remap_region(
+            vertices, terrain_data.get("mountainIndices", []), splat)
+        regions["mountainVertices"] = region_vertices
+        regions["mountainIndices"] = region_indices
+        regions["mountainSplat"] = region_splat
+
+    return regions
+
+
+# Encode terrain JSON data as the binary container (returns bytes)
+def encode_terrain_binary(terrain_data):
+    regions = split_terrain_regions(terrain_data)
+
+    # Section payloads (the client looks sections up by name)
+    payloads = []
+    for name, values in regions.items():
+        typecode, kind = next(t for suffix, t in SECTION_TYPES.items() if name.endswith(suffix))
+        data = array(typecode, values)
+        if sys.byteorder != "little":
+            data.byteswap()
+        payload = data.tobytes()
+        payloads.append((name, kind, len(values), payload + b"\0" * (-len(payload) % 4)))
+
+    # Header size depends on the offsets, so lay out sections after a padded header
+    def build_header(data_start):
+        sections = []
+        offset = data_start
+        for name, kind, length, payload in payloads:
+            sections.append({"name": name, "type": kind, "byteOffset": offset, "length": length})
+            offset += len(payload)
+        header = json.dumps({"metadata": terrain_data.get("metadata", {}), "sections": sections},
+                            separators=(",", ":")).encode("utf-8")
+        return header + b" " * (-len(header) % 4)
+
+    header = build_header(0)
+    while True:
+        data_start = 12 + len(header)
+        rebuilt = build_header(data_start)
+        if len(rebuilt) == len(header):
+            header = rebuilt
+            break
+        header = rebuilt
+
+    body = b"".join(payload for _, _, _, payload in payloads)
+    return MAGIC + struct.pack("<II", VERSION, len(header)) + header + body
+
+
+if __name__ == "__main__":
+    if len(sys.argv) < 2:
+        print("Usage: python terrain_binary.py input.json [output.bin]")
+        sys.exit(1)
+
+    input_path = sys.argv[1]
+    output_path = sys.argv[2] if len(sys.argv) > 2 else input_path.rsplit(".", 1)[0] + ".bin"
+
+    with open(input_path) as f:
+        terrain = json.load(f)
+
+    encoded = encode_terrain_binary(terrain)
+    with open(output_path, "wb") as f:
+        f.write(encoded)
+
+    print(f"Wrote {output_path} ({len(encoded)} bytes)")
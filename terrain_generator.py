@@ -0,0 +1,272 @@
+# terrain_generator.py
+# Python port of static/terrain-generator.js, used by the /api/terrain endpoint.
+# Produces the same schema as the baked terrain JSON that WorldManager.loadTerrain() reads.
+import math
+
+# Default parameters - same values as the baked r128_d18_rad20 terrain
+DEFAULT_PARAMS = {
+    "size": 200,
+    "resolution": 128,
+    "pitCenter": {"x": 0, "z": 0},
+    "pitRadius": 20,
+    "pitDepth": 18,
+    "wallSteepness": 5,
+    "mountainEnabled": True,
+    "mountainRoughness": 0.15,
+    "mountainHeight": 80,
+    "mountainWidth": 97,
+    "mountainPosition": -100,
+    "mountainDetail": 1,
+    "mountainSeed": 81.66652691862808,
+    "mountainYDecimation": 3,
+    "baseZNoiseAmount": 0,
+}
+
+MASK32 = 0xFFFFFFFF
+
+
+# Hermite step from edge0 to edge1 (edge0 > edge1 gives a falling step)
+def smoothstep(edge0, edge1, x):
+    t = min(1.0, max(0.0, (x - edge0) / (edge1 - edge0)))
+    return t * t * (3 - 2 * t)
+
+
+# Per-vertex splat weights (grass, sand, rock, dirt as 0..255), same as static/terrain-splat.js
+def compute_splat_weights(vertices, index_lists):
+    vertex_count = len(vertices) // 3
+    normals = [0.0] * (vertex_count * 3)
+
+    # Area weighted vertex normals
+    for indices in index_lists:
+        for t in range(0, len(indices), 3):
+            a, b, c = indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3
+            e1x, e1y, e1z = vertices[b] - vertices[a], vertices[b + 1] - vertices[a + 1], vertices[b + 2] - vertices[a + 2]
+            e2x, e2y, e2z = vertices[c] - vertices[a], vertices[c + 1] - vertices[a + 1], vertices[c + 2] - vertices[a + 2]
+            nx = e1y * e2z - e1z * e2y
+            ny = e1z * e2x - e1x * e2z
+            nz = e1x * e2y - e1y * e2x
+            for v in (a, b, c):
+                normals[v] += nx
+                normals[v + 1] += ny
+                normals[v + 2] += nz
+
+    weights = [0] * (vertex_count * 4)
+    for v in range(vertex_count):
+        length = math.sqrt(normals[v * 3] ** 2 + normals[v * 3 + 1] ** 2 + normals[v * 3 + 2] ** 2)
+        slope = 1 - abs(normals[v * 3 + 1]) / length if length > 0 else 0
+        height = vertices[v * 3 + 1]
+
+        # Steep faces are rock, the pit floor sand, high mountain plateaus dirt
+        rock = smoothstep(0.12, 0.35, slope)
+        sand = (1 - rock) * smoothstep(-0.3, -1.5, height)
+        dirt = (1 - rock) * (1 - sand) * smoothstep(6, 20, height)
+        grass = max(0.0, 1 - rock - sand - dirt)
+
+        # int(x + 0.5) rounds like Math.round for these non-negative values
+        for k, value in enumerate((grass, sand, rock, dirt)):
+            weights[v * 4 + k] = int(value * 255 + 0.5)
+
+    return weights
+
+
+class TerrainGenerator:
+    def __init__(self, params=None):
+        self.params = {**DEFAULT_PARAMS, **(params or {})}
+
+        # Integer seed used by the hash based noise (same as the JS version)
+        self.seed = math.floor(self.params["mountainSeed"] * 1000) & MASK32
+
+    # Generate the terrain data in the terrain JSON format
+    def generate(self):
+        p = self.params
+        size = p["size"]
+        resolution = p["resolution"]
+        spacing = size / (resolution - 1)
+        half_size = size / 2
+
+        # Full resolution grid, row-major (row = z, column = x)
+        vertices = [0.0] * (resolution * resolution * 3)
+        for j in range(resolution):
+            z = -half_size + j * spacing
+            for i in range(resolution):
+                x = -half_size + i * spacing
+                idx = (j * resolution + i) * 3
+                vertices[idx] = x
+                vertices[idx + 1] = self.get_pit_height(x, z) + self.get_mountain_height(x, z)
+                vertices[idx + 2] = z
+
+        # Split grid cells into flat, pit and mountain regions
+        flat_indices = []
+        pit_indices = []
+        mountain_columns = self.get_mountain_columns(spacing) if p["mountainEnabled"] else []
+        is_mountain_column = set(mountain_columns)
+
+        for j in range(resolution - 1):
+            for i in range(resolution - 1):
+                # Mountain cells are emitted separately (decimated) below
+                if i in is_mountain_column:
+                    continue
+
+                a = j * resolution + i
+                b = (j + 1) * resolution + i
+                c = (j + 1) * resolution + i + 1
+                d = j * resolution + i + 1
+
+                for triangle in ((a, b, c), (a, c, d)):
+                    target = pit_indices if self.is_pit_triangle(vertices, triangle) else flat_indices
+                    target.extend(triangle)
+
+        terrain_data = {
+            "metadata": {**p, "pitCenter": dict(p["pitCenter"])},
+            "vertices": vertices,
+            "flatIndices": flat_indices,
+            "pitIndices": pit_indices,
+            "splatWeights": compute_splat_weights(vertices, [flat_indices, pit_indices]),
+        }
+
+        if mountain_columns:
+            mountain_vertices, mountain_indices = self.build_mountain_mesh(vertices, mountain_columns)
+            terrain_data["mountainVertices"] = mountain_vertices
+            terrain_data["mountainIndices"] = mountain_indices
+            terrain_data["mountainSplatWeights"] = compute_splat_weights(mountain_vertices, [mountain_indices])
+
+        return terrain_data
+
+    # Pit bowl: -depth * (1 - (d / radius)^steepness) inside the pit radius
+    def get_pit_height(self, x, z):
+        p = self.params
+        distance = math.hypot(x - p["pitCenter"]["x"], z - p["pitCenter"]["z"])
+
+        if distance >= p["pitRadius"]:
+            return 0
+
+        return -p["pitDepth"] * (1 - math.pow(distance / p["pitRadius"], p["wallSteepness"]))
+
+    # Normalized distance (0 at the map edge, 1 at the mountain foot) for an x coordinate
+    def get_mountain_falloff_t(self, x):
+        return abs(x - self.params["mountainPosition"]) / (self.params["mountainWidth"] / 2)
+
+    # Mountain ridge along the map edge at mountainPosition
+    def get_mountain_height(self, x, z):
+        p = self.params
+        if not p["mountainEnabled"]:
+            return 0
+
+        t = self.get_mountain_falloff_t(x)
+        if t >= 1:
+            return 0
+
+        # Flat-topped ridge that eases down to the ground at the mountain foot
+        plateau = 0.3
+        falloff = 1 if t < plateau else 0.5 * (1 + math.cos(math.pi * (t - plateau) / (1 - plateau)))
+
+        # Roughness scales how much the noise breaks up the ridge
+        noise = self.fbm(x, z) * 2 - 1
+        return p["mountainHeight"] * falloff * (1 + p["mountainRoughness"] * noise)
+
+    # Grid columns whose cells belong to the mountain region
+    def get_mountain_columns(self, spacing):
+        size = self.params["size"]
+        columns = []
+
+        for i in range(self.params["resolution"] - 1):
+            x1 = -size / 2 + i * spacing
+            x2 = x1 + spacing
+
+            # A cell is mountain if its edge-side column is still on the slope
+            if min(self.get_mountain_falloff_t(x1), self.get_mountain_falloff_t(x2)) < 1:
+                columns.append(i)
+
+        return columns
+
+    # A triangle belongs to the pit if any of its vertices lies inside the pit radius
+    def is_pit_triangle(self, vertices, triangle):
+        center = self.params["pitCenter"]
+        radius = self.params["pitRadius"]
+
+        return any(
+            math.hypot(vertices[idx * 3] - center["x"], vertices[idx * 3 + 2] - center["z"]) < radius
+            for idx in triangle
+        )
+
+    # Build the separate mountain mesh, keeping every Nth row (mountainYDecimation)
+    def build_mountain_mesh(self, vertices, mountain_columns):
+        p = self.params
+        resolution = p["resolution"]
+        row_step = max(1, round(p["mountainYDecimation"] or 1))
+        z_noise = p["baseZNoiseAmount"]
+
+        # Columns include the seam column shared with the flat region
+        first_column = mountain_columns[0]
+        last_column = mountain_columns[-1] + 1
+        column_count = last_column - first_column + 1
+
+        rows = list(range(0, resolution, row_step))
+        if rows[-1] != resolution - 1:
+            rows.append(resolution - 1)
+
+        mountain_vertices = []
+        for r, j in enumerate(rows):
+            is_edge_row = r == 0 or r == len(rows) - 1
+
+            for i in range(first_column, last_column + 1):
+                idx = (j * resolution + i) * 3
+                z = vertices[idx + 2]
+
+                # Optional jitter to hide the row decimation, keeping the map edges straight
+                if z_noise and not is_edge_row:
+                    z += (self.hash(i, j, 1) - 0.5) * z_noise
+
+                mountain_vertices.extend((vertices[idx], vertices[idx + 1], z))
+
+        mountain_indices = []
+        for r in range(len(rows) - 1):
+            for c in range(column_count - 1):
+                a = r * column_count + c
+                b = (r + 1) * column_count + c
+                cc = (r + 1) * column_count + c + 1
+                d = r * column_count + c + 1
+                mountain_indices.extend((a, b, cc, a, cc, d))
+
+        return mountain_vertices, mountain_indices
+
+    # Fractal value noise in the 0..1 range, octave count driven by mountainDetail
+    def fbm(self, x, z):
+        octaves = max(1, round(4 * (self.params["mountainDetail"] or 1)))
+        frequency = 1 / 16
+        amplitude = 1
+        total = 0
+        norm = 0
+
+        for o in range(octaves):
+            total += self.value_noise(x * frequency, z * frequency, o) * amplitude
+            norm += amplitude
+            amplitude *= 0.5
+            frequency *= 2
+
+        return total / norm
+
+    # Smoothly interpolated lattice noise
+    def value_noise(self, x, z, octave):
+        x0 = math.floor(x)
+        z0 = math.floor(z)
+        fx = x - x0
+        fz = z - z0
+        sx = fx * fx * (3 - 2 * fx)
+        sz = fz * fz * (3 - 2 * fz)
+
+        n00 = self.hash(x0, z0, octave)
+        n10 = self.hash(x0 + 1, z0, octave)
+        n01 = self.hash(x0, z0 + 1, octave)
+        n11 = self.hash(x0 + 1, z0 + 1, octave)
+
+        nx0 = n00 + (n10 - n00) * sx
+        nx1 = n01 + (n11 - n01) * sx
+        return nx0 + (nx1 - nx0) * sz
+
+    # Deterministic 32-bit integer hash -> 0..1, bit-for-bit the same as the JS version
+    def hash(self, ix, iz, salt):
+        h = (ix * 374761393 + iz * 668265263 + (self.seed + salt * 1013) * 2246822519) & MASK32
+        h = ((h ^ (h >> 13)) * 1274126177) & MASK32
+        h ^= h >> 16
+        return h / 4294967295
@@ -0,0 +1,62 @@
+// chat.test.mjs
+// Headless checks of static/chat.js against a minimal fake DOM:
+// node --import ./tests/site-paths.mjs --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+class FakeElement {
+  constructor() {
+    this.style = {};
+    this.children = [];
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+  }
+
+  append(...children) {
+    this.children.push(...children);
+  }
+
+  focus() {}
+  blur() {}
+  remove() {}
+}
+
+const documentListeners = {};
+globalThis.document = {
+  body: new FakeElement(),
+  createElement: () => new FakeElement(),
+  createTextNode: (text) => ({ text }),
+  addEventListener: (type, listener) => { documentListeners[type] = listener; },
+  removeEventListener: () => {}
+};
+
+const { ChatOverlay } = await import('../static/chat.js');
+
+function pressEnter() {
+  documentListeners.keydown({ code: 'Enter', ctrlKey: false, preventDefault() {} });
+}
+
+test('Enter and the mobile Chat button only open the chat when canOpen() allows', () => {
+  const chat = new ChatOverlay({ isMobile: true });
+  let allowed = false;
+  chat.canOpen = () => allowed;
+
+  pressEnter();
+  chat.button.listeners.click();
+  assert.equal(chat.isOpen, false);
+
+  allowed = true;
+  chat.button.listeners.click();
+  assert.equal(chat.isOpen, true);
+  chat.close();
+  pressEnter();
+  assert.equal(chat.isOpen, true);
+});
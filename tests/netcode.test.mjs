@@ -0,0 +1,123 @@
+// netcode.test.mjs
+// Headless checks of static/netcode.js: node --import ./tests/site-paths.mjs --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotBuffer, PredictionHistory, CorrectionSmoother, SimulatedLink } from '../static/netcode.js';
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+// Moves 1 unit per tick along x
+function snapshot(t, yaw = 0) {
+  return { t, p: [t, 0, 0], v: [60, 0, 0], yaw, scale: 1, anim: 'run' };
+}
+
+test('SnapshotBuffer interpolates interpolationDelay behind the sender', () => {
+  const buffer = new SnapshotBuffer();
+  assert.equal(buffer.sample(0), null);
+
+  assert.ok(buffer.push(snapshot(0, 3), 0));
+  assert.ok(buffer.push(snapshot(6, -3), 0.1));
+  assert.equal(buffer.push(snapshot(6, -3), 0.1), false, 'duplicate tick');
+
+  // 0.15 s is tick 9, shown 6 ticks late: halfway between the two
+  const state = buffer.sample(0.15);
+  near(state.p[0], 3, 'position');
+  assert.equal(state.extrapolated, false);
+  // 3 to -3 the short way round, across +-PI
+  near(state.yaw, 3 + (Math.PI * 2 - 6) / 2, 'yaw');
+});
+
+test('SnapshotBuffer extrapolates for at most maxExtrapolation', () => {
+  const buffer = new SnapshotBuffer();
+  buffer.push(snapshot(0), 0);
+  buffer.push(snapshot(6), 0.1);
+
+  const state = buffer.sample(1);
+  near(state.p[0], 6 + 60 * buffer.maxExtrapolation, 'position');
+  assert.equal(state.extrapolated, true);
+});
+
+test('SnapshotBuffer keeps late snapshots in tick order', () => {
+  const buffer = new SnapshotBuffer();
+  buffer.push(snapshot(0), 0);
+  buffer.push(snapshot(12), 0.2);
+  buffer.push(snapshot(6), 0.25);
+  assert.deepEqual(buffer.snapshots.map(s => s.t), [0, 6, 12]);
+});
+
+test('PredictionHistory keeps capacity ticks, once each', () => {
+  const history = new PredictionHistory(3);
+  for (let t = 1; t <= 5; t++) {
+    history.record(t, { x: t, y: 0, z: 0 }, { x: 1, y: 0, z: 0 });
+  }
+  history.record(5, { x: 99, y: 0, z: 0 }, { x: 0, y: 0, z: 0 });
+  assert.deepEqual(history.entries.map(entry => entry.t), [3, 4, 5]);
+  assert.equal(history.entries[2].p[0], 5);
+});
+
+test('PredictionHistory reconcile returns the error and shifts the later ticks', () => {
+  const history = new PredictionHistory();
+  for (let t = 1; t <= 5; t++) {
+    history.record(t, { x: t, y: 0, z: 0 }, { x: 1, y: 0, z: 0 });
+  }
+
+  const error = history.reconcile(3, [3.5, 0, 0], [2, 0, 0]);
+  assert.deepEqual(error, { p: [0.5, 0, 0], v: [1, 0, 0] });
+  assert.deepEqual(history.entries.map(entry => entry.t), [3, 4, 5]);
+  near(history.entries[2].p[0], 5.5, 'shifted position');
+  near(history.entries[2].v[0], 2, 'shifted velocity');
+
+  // Already corrected: the same correction again changes nothing
+  assert.deepEqual(history.reconcile(3, [3.5, 0, 0], [2, 0, 0]), { p: [0, 0, 0], v: [0, 0, 0] });
+  // Between recorded ticks the one before counts; older than the history is too old
+  assert.deepEqual(history.reconcile(4.5, [4.5, 0, 0], [2, 0, 0]).p, [0, 0, 0]);
+  assert.equal(history.reconcile(2, [0, 0, 0], [0, 0, 0]), null);
+});
+
+test('CorrectionSmoother holds the drawn position, then halves the offset every halfLife', () => {
+  const smoother = new CorrectionSmoother(0.1, 4);
+  smoother.add([1, 0, -2]);
+  assert.deepEqual(smoother.offset, [-1, 0, 2]);
+
+  smoother.update(0.1);
+  near(smoother.offset[0], -0.5, 'x');
+  near(smoother.offset[2], 1, 'z');
+
+  // Too far to slide: snap
+  smoother.add([5, 0, 0]);
+  assert.deepEqual(smoother.offset, [0, 0, 0]);
+});
+
+test('SimulatedLink drops, delays and keeps the order', () => {
+  // Each send draws loss, then jitter
+  const draws = (values) => () => values.shift();
+
+  const lossy = new SimulatedLink({ loss: 0.5, random: draws([0.2, 0.9, 0.5]) });
+  lossy.send('lost', 0);
+  lossy.send('kept', 0);
+  assert.equal(lossy.dropped, 1);
+  assert.deepEqual(lossy.receive(0), ['kept']);
+
+  const options = { latency: 0.1, jitter: 0.05 };
+  const ordered = new SimulatedLink({ ...options, random: draws([0.9, 1, 0.9, 0]) });
+  ordered.send('a', 0); // Due at 0.15
+  ordered.send('b', 0.01); // Due at 0.06, held back behind a
+  assert.deepEqual(ordered.receive(0.1), []);
+  assert.deepEqual(ordered.receive(0.2), ['a', 'b']);
+
+  const unordered = new SimulatedLink({ ...options, ordered: false, random: draws([0.9, 1, 0.9, 0]) });
+  unordered.send('a', 0);
+  unordered.send('b', 0.01);
+  assert.deepEqual(unordered.receive(0.1), ['b']);
+  assert.deepEqual(unordered.receive(0.2), ['a']);
+});
+
+test('SimulatedLink never loses reliable messages, only delays them', () => {
+  const link = new SimulatedLink({ latency: 0.1, loss: 1, random: () => 0 });
+  link.send('state', 0);
+  link.send('welcome', 0, true);
+  assert.equal(link.dropped, 1);
+  assert.deepEqual(link.receive(0.05), []);
+  assert.deepEqual(link.receive(0.2), ['welcome']);
+});
@@ -0,0 +1,73 @@
+// network.test.mjs
+// Headless checks of static/network.js against a fake WebSocket:
+// node --import ./tests/site-paths.mjs --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkClient } from '../static/network.js';
+
+class FakeSocket {
+  static OPEN = 1;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.OPEN;
+    this.listeners = {};
+    this.sent = [];
+    FakeSocket.last = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {}
+
+  // As if the server sent message
+  receive(message) {
+    this.listeners.message({ data: JSON.stringify(message) });
+  }
+}
+globalThis.WebSocket = FakeSocket;
+
+function connect(options) {
+  const client = new NetworkClient('pit', { name: 'A', color: 'ffffff' }, { url: 'ws://test', ...options });
+  client.connect();
+  FakeSocket.last.listeners.open();
+  return { client, socket: FakeSocket.last };
+}
+
+test('NetworkClient joins and hands out the room messages', () => {
+  const { client, socket } = connect();
+  assert.deepEqual(socket.sent, [{ type: 'join', name: 'A', color: 'ffffff' }]);
+
+  const corrections = [];
+  client.onCorrection = (state) => corrections.push(state);
+  socket.receive({ type: 'welcome', id: 3, room: 'pit', players: [], mushrooms: [] });
+  socket.receive({ type: 'correct', t: 5, p: [0, 1, 0], v: [0, 0, 0] });
+  assert.equal(client.connected, true);
+  assert.equal(client.id, 3);
+  assert.deepEqual(corrections.map(state => state.t), [5]);
+});
+
+test('NetworkClient simulation loses only player states', () => {
+  const { client, socket } = connect({ simulation: { loss: 1 } });
+  const states = [];
+  const joins = [];
+  client.onPlayerState = (id) => states.push(id);
+  client.onPlayerJoin = (player) => joins.push(player.id);
+
+  socket.receive({ type: 'welcome', id: 3, room: 'pit', players: [], mushrooms: [] });
+  socket.receive({ type: 'join', player: { id: 4, name: 'B', color: 'ffffff', state: null } });
+  socket.receive({ type: 'state', id: 4, t: 1, p: [0, 0, 0], v: [0, 0, 0], yaw: 0, scale: 1, anim: 'stand' });
+  client.update(0, () => ({}));
+
+  assert.equal(client.connected, true);
+  assert.deepEqual(joins, [4]);
+  assert.deepEqual(states, []);
+  assert.equal(client.link.dropped, 1);
+});
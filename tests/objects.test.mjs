@@ -0,0 +1,34 @@
+// objects.test.mjs
+// Headless checks of static/objects.js: node --import ./tests/site-paths.mjs --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from '/static/three.module.min.js';
+import * as CANNON from '/dist/cannon-es.js';
+import { GameObjects } from '../static/objects.js';
+
+function createSharedMushroom(requests) {
+  const gameObjects = new GameObjects(new THREE.Scene(), new CANNON.World(), new CANNON.Material());
+  gameObjects.initMushroomAssets();
+  gameObjects.setSharedMushrooms(id => requests.push(id));
+  gameObjects.createMushroom(new THREE.Vector3(), { id: 7 });
+  return { gameObjects, mushroom: gameObjects.getMushroom(7) };
+}
+
+test('requestMushroom asks the room once while a request may be on its way', () => {
+  const requests = [];
+  const { gameObjects, mushroom } = createSharedMushroom(requests);
+  gameObjects.requestMushroom(mushroom, 0);
+  gameObjects.requestMushroom(mushroom, 500);
+  assert.deepEqual(requests, [7]);
+});
+
+test('requestMushroom asks again after mushroomRequestRetry without an answer', () => {
+  const requests = [];
+  const { gameObjects, mushroom } = createSharedMushroom(requests);
+  gameObjects.requestMushroom(mushroom, 0);
+  gameObjects.requestMushroom(mushroom, gameObjects.mushroomRequestRetry);
+  gameObjects.requestMushroom(mushroom, gameObjects.mushroomRequestRetry + 500);
+  gameObjects.requestMushroom(mushroom, gameObjects.mushroomRequestRetry * 2);
+  assert.deepEqual(requests, [7, 7, 7]);
+});
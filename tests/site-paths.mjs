@@ -0,0 +1,20 @@
+// site-paths.mjs
+// Lets node load the game's modules, whose imports use the paths main.py serves them at
+// (/static/..., /dist/...): node --import ./tests/site-paths.mjs --test tests/
+
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+const ROOT = new URL('../', import.meta.url);
+
+// Runs in node's module loader thread
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('/static/') || specifier.startsWith('/dist/')) {
+    return nextResolve(new URL(specifier.slice(1), ROOT).href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+if (isMainThread) {
+  register(import.meta.url);
+}
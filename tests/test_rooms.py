@@ -0,0 +1,130 @@
+# test_rooms.py
+# Checks of the server side of the rooms (rooms.py): python3 -m unittest discover tests
+import asyncio
+import json
+import math
+import unittest
+
+from rooms import (CHAT_BURST, CHAT_INTERVAL, MAX_CHAT_LENGTH, MAX_PLAYER_SPEED, MUSHROOM_SPACING,
+                   MushroomSpawner, Room, RoomPlayer, clean_chat, clean_state, limit_state)
+
+
+def state(p=(0, 0, 0), v=(0, 0, 0), t=1, scale=1):
+    return clean_state({"t": t, "p": list(p), "v": list(v), "scale": scale})
+
+
+# Spawn until the spawner holds count mushrooms (the spawn chance skips some tries)
+def spawn(spawner, count):
+    while len(spawner.mushrooms) < count:
+        spawner.spawn()
+    return spawner.as_list()
+
+
+class LimitStateTest(unittest.TestCase):
+    def test_slow_state_is_kept(self):
+        slow = state(p=(1000, 5, -1000), v=(3, -20, 4))
+        self.assertFalse(limit_state(slow))
+        self.assertEqual(slow["v"], [3, -20, 4])
+        # Streamed terrain goes on past the base map
+        self.assertEqual(slow["p"], [1000, 5, -1000])
+
+    def test_fast_state_is_slowed_down_along_its_direction(self):
+        fast = state(v=(300, 0, -400))
+        self.assertTrue(limit_state(fast))
+        self.assertAlmostEqual(math.hypot(*fast["v"]), MAX_PLAYER_SPEED)
+        self.assertAlmostEqual(fast["v"][0] / fast["v"][2], -0.75)
+
+
+class CorrectionTest(unittest.TestCase):
+    def setUp(self):
+        self.room = Room("pit", seed=1)
+        self.received = {1: [], 2: []}
+        for player_id in self.received:
+            async def send(text, player_id=player_id):
+                self.received[player_id].append(json.loads(text))
+            self.room.players[player_id] = RoomPlayer(player_id, f"P{player_id}", "ffffff", send)
+
+    def handle(self, message):
+        asyncio.run(self.room.handle_message(self.room.players[1], message))
+
+    def test_too_fast_sender_is_corrected_and_others_see_the_limited_state(self):
+        self.handle({"type": "state", "t": 9, "p": [1, 2, 3], "v": [0, -500, 0]})
+        limited = [0, -MAX_PLAYER_SPEED, 0]
+        self.assertEqual(self.received[1], [{"type": "correct", "t": 9, "p": [1, 2, 3], "v": limited}])
+        self.assertEqual(self.received[2][0]["v"], limited)
+
+    def test_normal_state_is_only_relayed(self):
+        self.handle({"type": "state", "t": 9, "p": [1, 2, 3], "v": [0, -5, 0]})
+        self.assertEqual(self.received[1], [])
+        self.assertEqual(self.received[2][0]["type"], "state")
+
+
+class MushroomSpawnerTest(unittest.TestCase):
+    def test_seed_repeats_the_mushrooms(self):
+        first = spawn(MushroomSpawner(seed="pit"), 3)
+        self.assertEqual(spawn(MushroomSpawner(seed="pit"), 3), first)
+        self.assertNotEqual(spawn(MushroomSpawner(seed="other"), 3), first)
+
+    def test_ids_count_up_and_spacing_holds(self):
+        spawner = MushroomSpawner(seed=1, max_mushrooms=5)
+        mushrooms = spawn(spawner, 5)
+        self.assertEqual([mushroom["id"] for mushroom in mushrooms], [1, 2, 3, 4, 5])
+        self.assertIsNone(spawner.spawn())
+        for a in mushrooms:
+            for b in mushrooms:
+                if a is not b:
+                    self.assertGreaterEqual(math.hypot(a["x"] - b["x"], a["z"] - b["z"]), MUSHROOM_SPACING)
+
+    def test_eaten_once_and_only_within_reach(self):
+        spawner = MushroomSpawner(seed=1)
+        mushroom = spawn(spawner, 1)[0]
+        far = state(p=(mushroom["x"] + 10, 0, mushroom["z"]))
+        near = state(p=(mushroom["x"] + 1, 0, mushroom["z"]))
+        self.assertFalse(spawner.eat(mushroom["id"], far))
+        self.assertFalse(spawner.eat(mushroom["id"], None))
+        self.assertTrue(spawner.eat(mushroom["id"], near))
+        self.assertFalse(spawner.eat(mushroom["id"], near))
+        # A bigger player reaches further
+        mushroom = spawn(spawner, 1)[0]
+        self.assertFalse(spawner.eat(mushroom["id"], state(p=(mushroom["x"] + 8, 0, mushroom["z"]))))
+        self.assertTrue(spawner.eat(mushroom["id"], state(p=(mushroom["x"] + 8, 0, mushroom["z"]), scale=10)))
+
+
+class EatTest(unittest.TestCase):
+    def test_only_integer_ids_are_eaten(self):
+        room = Room("pit", seed=1)
+        sent = []
+
+        async def send(text):
+            sent.append(json.loads(text))
+        player = RoomPlayer(1, "P1", "ffffff", send)
+        room.players[1] = player
+        mushroom = spawn(room.mushrooms, 1)[0]
+        player.state = state(p=(mushroom["x"], 0, mushroom["z"]))
+        self.assertEqual(mushroom["id"], 1)
+
+        for bad_id in (True, 1.0, "1", None):
+            asyncio.run(room.handle_message(player, {"type": "eat", "id": bad_id}))
+        self.assertEqual(sent, [])
+        asyncio.run(room.handle_message(player, {"type": "eat", "id": 1}))
+        self.assertEqual(sent, [{"type": "eat", "id": 1, "player": 1}])
+
+
+class ChatTest(unittest.TestCase):
+    def test_budget_allows_a_burst_then_one_per_interval(self):
+        player = RoomPlayer(1, "P1", "ffffff", None)
+        now = player.chat_time
+        self.assertEqual([player.may_chat(now) for _ in range(CHAT_BURST + 1)], [True] * CHAT_BURST + [False])
+        self.assertFalse(player.may_chat(now + CHAT_INTERVAL / 2))
+        self.assertTrue(player.may_chat(now + CHAT_INTERVAL))
+        self.assertFalse(player.may_chat(now + CHAT_INTERVAL))
+
+    def test_clean_chat(self):
+        self.assertEqual(clean_chat("  hi \n there  "), "hi there")
+        self.assertEqual(len(clean_chat("x" * 500)), MAX_CHAT_LENGTH)
+        self.assertIsNone(clean_chat("   "))
+        self.assertIsNone(clean_chat(42))
+
+
+if __name__ == "__main__":
+    unittest.main()